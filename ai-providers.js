@@ -0,0 +1,879 @@
+/**
+ * AI 服务适配器
+ * 将 ConversationManager 生成的 OpenAI 格式消息（包括工具声明、工具调用及结果）转换为各服务的原生接口，
+ * 并将响应统一为 { choices: [{ message: { role, content } }], usage } 结构，流式输出统一为 { choices: [{ delta: { content } }] }，
+ * 流式输出结束时以 { choices: [], usage } 返回 token 用量
+ */
+import { OpenAIClient, createIdleTimeout, readStreamLines } from './clients.js';
+import { estimateMessageTokens, estimateMessagesTokens, estimateTokens } from './token-counter.js';
+
+/**
+ * 解析 data URL，返回 MIME 类型和 base64 数据
+ */
+function parseDataUrl(url) {
+    const match = /^data:([^;,]+);base64,(.*)$/s.exec(url || '');
+    return match ? { mimeType: match[1], data: match[2] } : null;
+}
+
+/**
+ * 多模态内容中的文本部分
+ */
+function contentToText(content) {
+    if (typeof content === 'string') {
+        return content;
+    }
+    return (content || [])
+        .filter(part => part.type === 'text')
+        .map(part => part.text)
+        .join('\n');
+}
+
+/**
+ * 消息中是否包含图片
+ */
+function hasImageContent(messages) {
+    return (messages || []).some(
+        message => Array.isArray(message.content) && message.content.some(part => part.type === 'image_url'),
+    );
+}
+
+/**
+ * 解析工具调用参数，不是合法的 JSON 时返回空对象
+ */
+function parseToolArguments(text) {
+    try {
+        return JSON.parse(text || '{}');
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * 工具调用 ID 与工具名称的对应关系，部分服务的工具结果需要工具名称
+ */
+function getToolCallNames(messages) {
+    return new Map(
+        messages.flatMap(message => (message.tool_calls || []).map(toolCall => [toolCall.id, toolCall.function?.name])),
+    );
+}
+
+/**
+ * 构造 OpenAI 格式的工具调用
+ */
+function toToolCall(name, args, id) {
+    return {
+        id: id || `call_${crypto.randomUUID()}`,
+        type: 'function',
+        function: { name, arguments: JSON.stringify(args || {}) },
+    };
+}
+
+/**
+ * 将历史中的工具调用及结果转换为普通文本消息，供请求中未声明工具时使用
+ */
+function flattenToolMessages(messages) {
+    return messages.map(message => {
+        if (message.role === 'tool') {
+            return { role: 'user', content: `[工具结果] ${message.content}` };
+        }
+        if (message.tool_calls) {
+            const calls = message.tool_calls
+                .map(toolCall => `${toolCall.function?.name}(${toolCall.function?.arguments || ''})`)
+                .join(', ');
+            return { role: 'assistant', content: [message.content, `[调用工具] ${calls}`].filter(Boolean).join('\n') };
+        }
+        return message;
+    });
+}
+
+/**
+ * 拆分系统提示词和对话消息
+ * @param {boolean} keepTools 保留工具调用及结果消息，由调用方转换为服务的原生格式
+ */
+function splitSystemMessages(allMessages, keepTools = false) {
+    const messages = keepTools ? allMessages : flattenToolMessages(allMessages);
+    const system = messages
+        .filter(message => message.role === 'system')
+        .map(message => contentToText(message.content))
+        .join('\n\n');
+    return { system, messages: messages.filter(message => message.role !== 'system') };
+}
+
+/**
+ * 构造 OpenAI 格式的聊天结果，模型调用工具时 finish_reason 为 tool_calls
+ */
+function toChatCompletion({ id, model, content, toolCalls = [], finishReason, promptTokens, completionTokens }) {
+    return {
+        id: id || `chatcmpl-${crypto.randomUUID()}`,
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model,
+        choices: [
+            {
+                index: 0,
+                message: { role: 'assistant', content, ...(toolCalls.length > 0 && { tool_calls: toolCalls }) },
+                finish_reason: toolCalls.length > 0 ? 'tool_calls' : finishReason || 'stop',
+            },
+        ],
+        usage: toUsage(promptTokens, completionTokens),
+    };
+}
+
+/**
+ * 构造 OpenAI 格式的 token 用量
+ */
+function toUsage(promptTokens, completionTokens) {
+    return {
+        prompt_tokens: promptTokens || 0,
+        completion_tokens: completionTokens || 0,
+        total_tokens: (promptTokens || 0) + (completionTokens || 0),
+    };
+}
+
+/**
+ * 构造 OpenAI 格式的流式片段
+ */
+function toChatCompletionChunk(content, finishReason = null) {
+    return {
+        object: 'chat.completion.chunk',
+        choices: [{ index: 0, delta: content ? { content } : {}, finish_reason: finishReason }],
+    };
+}
+
+/**
+ * 构造 OpenAI 格式的流式用量片段
+ */
+function toUsageChunk(promptTokens, completionTokens) {
+    return { object: 'chat.completion.chunk', choices: [], usage: toUsage(promptTokens, completionTokens) };
+}
+
+/**
+ * 非 OpenAI 兼容服务的客户端基类
+ */
+class NativeChatClient {
+    constructor(config = {}, serviceName) {
+        this.apiKey = config.apiKey;
+        this.baseUrl = (config.baseUrl || '').replace(/\/$/, '');
+        this.defaultModel = config.model;
+        this.timeout = config.timeout || 30000;
+        this.apiVersion = config.apiVersion;
+        this.maxTokens = config.maxTokens;
+        this.serviceName = serviceName;
+    }
+
+    /**
+     * 发送 JSON 请求
+     */
+    async post(url, body) {
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: this.getHeaders(),
+                body: JSON.stringify(body),
+                signal: AbortSignal.timeout(this.timeout),
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`API请求失败: HTTP ${response.status} - ${errorText}`);
+            }
+
+            return await response.json();
+        } catch (error) {
+            console.error(`${this.serviceName} API请求失败:`, error);
+            throw new Error(`网络请求失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 发送流式请求，逐行返回响应内容
+     */
+    async *postStream(url, body) {
+        const idleTimeout = createIdleTimeout(this.timeout);
+
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: this.getHeaders(),
+                body: JSON.stringify(body),
+                signal: idleTimeout.signal,
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`流式请求失败: HTTP ${response.status} - ${errorText}`);
+            }
+
+            yield* readStreamLines(response, idleTimeout.reset);
+        } catch (error) {
+            console.error(`${this.serviceName} 流式请求失败:`, error);
+            throw error;
+        } finally {
+            idleTimeout.clear();
+        }
+    }
+
+    /**
+     * 解析 SSE 数据行，非数据行返回 null
+     */
+    parseEventData(line) {
+        if (!line.startsWith('data:')) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(line.slice(5).trim());
+        } catch (e) {
+            console.warn('解析流数据失败:', e);
+            return null;
+        }
+    }
+}
+
+/**
+ * Azure OpenAI
+ * 接口与 OpenAI 相同，按部署名区分模型，使用 api-key 请求头和 api-version 参数
+ */
+export class AzureOpenAIClient extends OpenAIClient {
+    constructor(config = {}) {
+        super(config);
+        this.apiVersion = config.apiVersion || '2024-06-01';
+    }
+
+    getHeaders() {
+        return {
+            'api-key': this.apiKey,
+            'Content-Type': 'application/json',
+        };
+    }
+
+    /**
+     * model 即部署名，如 https://{resource}.openai.azure.com/openai/deployments/{deployment}/chat/completions
+     */
+    getChatCompletionsUrl(model) {
+        const deployment = encodeURIComponent(model || this.defaultModel);
+        return `${this.baseUrl}/openai/deployments/${deployment}/chat/completions?api-version=${this.apiVersion}`;
+    }
+}
+
+/**
+ * Anthropic Messages API
+ */
+export class AnthropicClient extends NativeChatClient {
+    constructor(config = {}) {
+        super(config, 'Anthropic');
+        this.apiVersion = config.apiVersion || '2023-06-01';
+        this.maxTokens = config.maxTokens || 1024;
+    }
+
+    getHeaders() {
+        return {
+            'x-api-key': this.apiKey,
+            'anthropic-version': this.apiVersion,
+            'Content-Type': 'application/json',
+        };
+    }
+
+    /**
+     * 转换消息内容，图片转为 base64 或 URL 图片块
+     */
+    convertContent(content) {
+        if (typeof content === 'string') {
+            return [{ type: 'text', text: content }];
+        }
+
+        return content.map(part => {
+            if (part.type !== 'image_url') {
+                return { type: 'text', text: part.text };
+            }
+
+            const image = parseDataUrl(part.image_url?.url);
+            return image
+                ? { type: 'image', source: { type: 'base64', media_type: image.mimeType, data: image.data } }
+                : { type: 'image', source: { type: 'url', url: part.image_url?.url } };
+        });
+    }
+
+    /**
+     * 转换单条消息，工具调用转为 tool_use 块，工具结果转为 tool_result 块
+     */
+    convertMessage(message) {
+        if (message.role === 'tool') {
+            return [
+                { type: 'tool_result', tool_use_id: message.tool_call_id, content: contentToText(message.content) },
+            ];
+        }
+
+        const content = message.content ? this.convertContent(message.content) : [];
+        const toolUses = (message.tool_calls || []).map(toolCall => ({
+            type: 'tool_use',
+            id: toolCall.id,
+            name: toolCall.function?.name,
+            input: parseToolArguments(toolCall.function?.arguments),
+        }));
+        return [...content, ...toolUses];
+    }
+
+    /**
+     * 转换工具声明，tool_choice 为 none 时禁止调用工具
+     */
+    convertTools(tools, toolChoice) {
+        return {
+            tools: tools.map(({ function: fn }) => ({
+                name: fn.name,
+                description: fn.description || '',
+                input_schema: fn.parameters || { type: 'object', properties: {} },
+            })),
+            ...(toolChoice === 'none' && { tool_choice: { type: 'none' } }),
+        };
+    }
+
+    /**
+     * 构造请求体，系统提示词单独传入，相邻的同角色消息合并
+     * 声明了工具时工具调用及结果使用原生格式，否则转为普通文本
+     */
+    buildRequest(options) {
+        const {
+            messages,
+            model = this.defaultModel,
+            temperature = 0.7,
+            max_tokens,
+            stop,
+            tools,
+            tool_choice,
+        } = options;
+        const useTools = tools?.length > 0;
+        const { system, messages: chatMessages } = splitSystemMessages(messages, useTools);
+
+        const anthropicMessages = [];
+        for (const message of chatMessages) {
+            const role = message.role === 'assistant' ? 'assistant' : 'user';
+            const content = this.convertMessage(message);
+            const last = anthropicMessages[anthropicMessages.length - 1];
+
+            if (last?.role === role) {
+                last.content.push(...content);
+            } else {
+                anthropicMessages.push({ role, content });
+            }
+        }
+
+        return {
+            model,
+            messages: anthropicMessages,
+            max_tokens: max_tokens || this.maxTokens,
+            temperature,
+            ...(system && { system }),
+            ...(stop && { stop_sequences: Array.isArray(stop) ? stop : [stop] }),
+            ...(useTools && this.convertTools(tools, tool_choice)),
+        };
+    }
+
+    async chatCompletion(options = {}) {
+        const request = this.buildRequest(options);
+        const result = await this.post(`${this.baseUrl}/v1/messages`, request);
+
+        return toChatCompletion({
+            id: result.id,
+            model: result.model || request.model,
+            content: (result.content || [])
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join(''),
+            toolCalls: (result.content || [])
+                .filter(block => block.type === 'tool_use')
+                .map(block => toToolCall(block.name, block.input, block.id)),
+            finishReason: result.stop_reason === 'max_tokens' ? 'length' : 'stop',
+            promptTokens: result.usage?.input_tokens,
+            completionTokens: result.usage?.output_tokens,
+        });
+    }
+
+    async *chatCompletionStream(options = {}) {
+        const request = { ...this.buildRequest(options), stream: true };
+        let promptTokens = 0;
+        let completionTokens = 0;
+
+        for await (const line of this.postStream(`${this.baseUrl}/v1/messages`, request)) {
+            const event = this.parseEventData(line);
+            if (!event) continue;
+
+            if (event.type === 'error') {
+                throw new Error(`流式请求失败: ${event.error?.message || JSON.stringify(event)}`);
+            }
+            if (event.type === 'message_start') {
+                promptTokens = event.message?.usage?.input_tokens || 0;
+            }
+            if (event.type === 'message_delta') {
+                completionTokens = event.usage?.output_tokens || completionTokens;
+            }
+            if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+                yield toChatCompletionChunk(event.delta.text);
+            }
+            if (event.type === 'message_stop') {
+                yield toUsageChunk(promptTokens, completionTokens);
+                return;
+            }
+        }
+    }
+}
+
+/**
+ * Google Gemini generateContent API
+ */
+export class GeminiClient extends NativeChatClient {
+    constructor(config = {}) {
+        super(config, 'Gemini');
+        this.apiVersion = config.apiVersion || 'v1beta';
+    }
+
+    getHeaders() {
+        return {
+            'x-goog-api-key': this.apiKey,
+            'Content-Type': 'application/json',
+        };
+    }
+
+    getModelUrl(model, method) {
+        return `${this.baseUrl}/${this.apiVersion}/models/${encodeURIComponent(model)}:${method}`;
+    }
+
+    /**
+     * 转换消息内容，图片转为 inline_data
+     */
+    convertParts(content) {
+        if (typeof content === 'string') {
+            return [{ text: content }];
+        }
+
+        return content.map(part => {
+            if (part.type !== 'image_url') {
+                return { text: part.text };
+            }
+
+            const image = parseDataUrl(part.image_url?.url);
+            return image
+                ? { inline_data: { mime_type: image.mimeType, data: image.data } }
+                : { text: part.image_url?.url || '' };
+        });
+    }
+
+    /**
+     * 转换单条消息，工具调用转为 functionCall，工具结果转为 functionResponse
+     * @param {Map} toolNames 工具调用 ID 与工具名称的对应关系
+     */
+    convertMessage(message, toolNames) {
+        if (message.role === 'tool') {
+            return [
+                {
+                    functionResponse: {
+                        name: toolNames.get(message.tool_call_id) || '',
+                        response: { content: contentToText(message.content) },
+                    },
+                },
+            ];
+        }
+
+        const parts = message.content ? this.convertParts(message.content) : [];
+        const calls = (message.tool_calls || []).map(toolCall => ({
+            functionCall: { name: toolCall.function?.name, args: parseToolArguments(toolCall.function?.arguments) },
+        }));
+        return [...parts, ...calls];
+    }
+
+    /**
+     * 转换工具声明，tool_choice 为 none 时禁止调用工具
+     */
+    convertTools(tools, toolChoice) {
+        return {
+            tools: [
+                {
+                    functionDeclarations: tools.map(({ function: fn }) => ({
+                        name: fn.name,
+                        description: fn.description || '',
+                        ...(fn.parameters?.properties &&
+                            Object.keys(fn.parameters.properties).length > 0 && {
+                                parameters: fn.parameters,
+                            }),
+                    })),
+                },
+            ],
+            ...(toolChoice === 'none' && { toolConfig: { functionCallingConfig: { mode: 'NONE' } } }),
+        };
+    }
+
+    /**
+     * 构造请求体，assistant 角色对应 model，相邻的同角色消息合并
+     * 声明了工具时工具调用及结果使用原生格式，否则转为普通文本
+     */
+    buildRequest(options) {
+        const { messages, temperature = 0.7, max_tokens, stop, tools, tool_choice } = options;
+        const useTools = tools?.length > 0;
+        const { system, messages: chatMessages } = splitSystemMessages(messages, useTools);
+        const toolNames = getToolCallNames(chatMessages);
+
+        const contents = [];
+        for (const message of chatMessages) {
+            const role = message.role === 'assistant' ? 'model' : 'user';
+            const parts = this.convertMessage(message, toolNames);
+            const last = contents[contents.length - 1];
+
+            if (last?.role === role) {
+                last.parts.push(...parts);
+            } else {
+                contents.push({ role, parts });
+            }
+        }
+
+        return {
+            contents,
+            ...(system && { systemInstruction: { parts: [{ text: system }] } }),
+            generationConfig: {
+                temperature,
+                ...((max_tokens || this.maxTokens) && { maxOutputTokens: max_tokens || this.maxTokens }),
+                ...(stop && { stopSequences: Array.isArray(stop) ? stop : [stop] }),
+            },
+            ...(useTools && this.convertTools(tools, tool_choice)),
+        };
+    }
+
+    /**
+     * 提取候选回复中的文本
+     */
+    getCandidateText(result) {
+        return (result.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('');
+    }
+
+    async chatCompletion(options = {}) {
+        const model = options.model || this.defaultModel;
+        const result = await this.post(this.getModelUrl(model, 'generateContent'), this.buildRequest(options));
+
+        return toChatCompletion({
+            id: result.responseId,
+            model: result.modelVersion || model,
+            content: this.getCandidateText(result),
+            toolCalls: (result.candidates?.[0]?.content?.parts || [])
+                .filter(part => part.functionCall)
+                .map(part => toToolCall(part.functionCall.name, part.functionCall.args)),
+            finishReason: result.candidates?.[0]?.finishReason === 'MAX_TOKENS' ? 'length' : 'stop',
+            promptTokens: result.usageMetadata?.promptTokenCount,
+            completionTokens: result.usageMetadata?.candidatesTokenCount,
+        });
+    }
+
+    async *chatCompletionStream(options = {}) {
+        const model = options.model || this.defaultModel;
+        const url = `${this.getModelUrl(model, 'streamGenerateContent')}?alt=sse`;
+        // 每个片段的 usageMetadata 为累计用量
+        let usageMetadata = null;
+
+        for await (const line of this.postStream(url, this.buildRequest(options))) {
+            const result = this.parseEventData(line);
+            const text = result && this.getCandidateText(result);
+            if (text) {
+                yield toChatCompletionChunk(text);
+            }
+            usageMetadata = result?.usageMetadata || usageMetadata;
+        }
+
+        if (usageMetadata) {
+            yield toUsageChunk(usageMetadata.promptTokenCount, usageMetadata.candidatesTokenCount);
+        }
+    }
+}
+
+/**
+ * Ollama /api/chat
+ * 本地部署通常无需 API Key，配置了 OLLAMA_API_KEY 时以 Bearer 令牌发送（用于反向代理鉴权）
+ */
+export class OllamaClient extends NativeChatClient {
+    constructor(config = {}) {
+        super(config, 'Ollama');
+    }
+
+    getHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` }),
+        };
+    }
+
+    /**
+     * 转换工具调用及结果，工具调用的参数为对象
+     * @param {Map} toolNames 工具调用 ID 与工具名称的对应关系
+     */
+    convertToolMessage(message, toolNames) {
+        if (message.role === 'tool') {
+            return {
+                role: 'tool',
+                content: contentToText(message.content),
+                tool_name: toolNames.get(message.tool_call_id) || '',
+            };
+        }
+
+        return {
+            role: 'assistant',
+            content: contentToText(message.content),
+            tool_calls: message.tool_calls.map(toolCall => ({
+                function: {
+                    name: toolCall.function?.name,
+                    arguments: parseToolArguments(toolCall.function?.arguments),
+                },
+            })),
+        };
+    }
+
+    /**
+     * 构造请求体，图片以 base64 放入 images 字段
+     * 声明了工具时工具声明与 OpenAI 格式相同，tool_choice 为 none 时不传工具声明
+     */
+    buildRequest(options, stream) {
+        const {
+            messages,
+            model = this.defaultModel,
+            temperature = 0.7,
+            max_tokens,
+            stop,
+            tools,
+            tool_choice,
+        } = options;
+        const useTools = tools?.length > 0;
+        const toolNames = getToolCallNames(messages);
+
+        return {
+            model,
+            messages: (useTools ? messages : flattenToolMessages(messages)).map(message => {
+                if (message.role === 'tool' || message.tool_calls) {
+                    return this.convertToolMessage(message, toolNames);
+                }
+                if (typeof message.content === 'string') {
+                    return { role: message.role, content: message.content };
+                }
+
+                const images = message.content
+                    .filter(part => part.type === 'image_url')
+                    .map(part => parseDataUrl(part.image_url?.url)?.data)
+                    .filter(Boolean);
+                return {
+                    role: message.role,
+                    content: contentToText(message.content),
+                    ...(images.length > 0 && { images }),
+                };
+            }),
+            stream,
+            options: {
+                temperature,
+                ...((max_tokens || this.maxTokens) && { num_predict: max_tokens || this.maxTokens }),
+                ...(stop && { stop: Array.isArray(stop) ? stop : [stop] }),
+            },
+            ...(useTools && tool_choice !== 'none' && { tools }),
+        };
+    }
+
+    async chatCompletion(options = {}) {
+        const request = this.buildRequest(options, false);
+        const result = await this.post(`${this.baseUrl}/api/chat`, request);
+
+        return toChatCompletion({
+            model: result.model || request.model,
+            content: result.message?.content || '',
+            toolCalls: (result.message?.tool_calls || []).map(toolCall =>
+                toToolCall(toolCall.function?.name, toolCall.function?.arguments),
+            ),
+            finishReason: result.done_reason === 'length' ? 'length' : 'stop',
+            promptTokens: result.prompt_eval_count,
+            completionTokens: result.eval_count,
+        });
+    }
+
+    async *chatCompletionStream(options = {}) {
+        // 流式响应为每行一个 JSON 对象
+        for await (const line of this.postStream(`${this.baseUrl}/api/chat`, this.buildRequest(options, true))) {
+            let result;
+            try {
+                result = JSON.parse(line);
+            } catch (e) {
+                console.warn('解析流数据失败:', e);
+                continue;
+            }
+
+            if (result.error) {
+                throw new Error(`流式请求失败: ${result.error}`);
+            }
+            if (result.message?.content) {
+                yield toChatCompletionChunk(result.message.content);
+            }
+            if (result.done) {
+                yield toUsageChunk(result.prompt_eval_count, result.eval_count);
+                return;
+            }
+        }
+    }
+}
+
+/**
+ * AI 服务注册表，键与 AI_PROVIDER 环境变量的取值对应
+ */
+const providers = new Map([
+    ['openai', config => new OpenAIClient(config)],
+    ['azure', config => new AzureOpenAIClient(config)],
+    ['anthropic', config => new AnthropicClient(config)],
+    ['gemini', config => new GeminiClient(config)],
+    ['ollama', config => new OllamaClient(config)],
+]);
+
+/**
+ * 注册自定义 AI 服务
+ * @param {string} name 服务名称
+ * @param {function(object): object} factory 根据 AI 配置创建客户端，客户端需实现 chatCompletion 和 chatCompletionStream
+ */
+export function registerAIProvider(name, factory) {
+    providers.set(name, factory);
+}
+
+/**
+ * 根据 getAIConfig 返回的配置创建对应服务的客户端
+ */
+export function createAIClient(config) {
+    const factory = providers.get(config.serviceName || 'openai');
+    if (!factory) {
+        throw new Error(`不支持的 AI 服务: ${config.serviceName}`);
+    }
+    return factory(config);
+}
+
+/**
+ * 按顺序尝试多个 AI 服务的客户端
+ * 当前服务出错或超时时切换到下一个，熔断中的服务直接跳过；流式回复只在尚未输出内容时切换
+ */
+export class FallbackChatClient {
+    /**
+     * @param {object[]} configs 按优先级排列的 AI 配置，第一个为主服务
+     * @param {CircuitBreaker} circuitBreaker 熔断器，为空时不跳过任何服务
+     */
+    constructor(configs, circuitBreaker = null) {
+        this.targets = configs.map(config => ({ config, client: createAIClient(config) }));
+        this.circuitBreaker = circuitBreaker;
+        // 最近一次实际给出回复的服务 { provider, model }
+        this.answeredBy = null;
+        // 每次成功调用的 token 用量 { provider, model, promptTokens, completionTokens, estimated }
+        this.usage = [];
+    }
+
+    /**
+     * 熔断器中的服务名称
+     */
+    getTargetName(config, model) {
+        return `${config.serviceName || 'openai'}:${model}`;
+    }
+
+    /**
+     * 依次列出可用的服务及其模型，主服务使用请求中指定的模型（如视觉模型），备用服务使用各自配置的模型
+     * 备用服务的模型不一定支持图片，包含图片的请求只使用主服务
+     */
+    async *availableTargets(options) {
+        const targets = hasImageContent(options.messages) ? this.targets.slice(0, 1) : this.targets;
+
+        for (let i = 0; i < targets.length; i++) {
+            const { config, client } = targets[i];
+            const model = i === 0 ? options.model || config.model : config.model;
+            const name = this.getTargetName(config, model);
+
+            if (this.circuitBreaker && (await this.circuitBreaker.isOpen(name))) {
+                console.warn(`${name} 熔断中，跳过`);
+                continue;
+            }
+
+            yield { config, client, model, name };
+        }
+    }
+
+    async recordFailure(name, error) {
+        console.error(`${name} 调用失败:`, error);
+        if (this.circuitBreaker) {
+            await this.circuitBreaker.recordFailure(name);
+        }
+    }
+
+    async recordSuccess(config, model, name) {
+        this.answeredBy = { provider: config.serviceName || 'openai', model };
+        if (this.circuitBreaker) {
+            await this.circuitBreaker.recordSuccess(name);
+        }
+    }
+
+    /**
+     * 记录一次调用的 token 用量，服务未返回用量时按消息内容估算
+     * @param {object} usage OpenAI 格式的用量
+     * @param {function(): number} estimateCompletion 估算回复的 token 数
+     */
+    recordUsage(config, model, usage, messages, estimateCompletion) {
+        const estimated = !usage?.prompt_tokens && !usage?.completion_tokens;
+        this.usage.push({
+            provider: config.serviceName || 'openai',
+            model,
+            promptTokens: estimated ? estimateMessagesTokens(messages || []) : usage.prompt_tokens || 0,
+            completionTokens: estimated ? estimateCompletion() : usage.completion_tokens || 0,
+            estimated,
+        });
+    }
+
+    async chatCompletion(options = {}) {
+        let lastError = null;
+
+        for await (const { config, client, model, name } of this.availableTargets(options)) {
+            try {
+                const response = await client.chatCompletion({ ...options, model });
+                await this.recordSuccess(config, model, name);
+                const message = response.choices?.[0]?.message;
+                this.recordUsage(config, model, response.usage, options.messages, () =>
+                    message ? estimateMessageTokens(message) : 0,
+                );
+                return response;
+            } catch (error) {
+                lastError = error;
+                await this.recordFailure(name, error);
+            }
+        }
+
+        throw lastError || new Error('所有 AI 服务均处于熔断状态');
+    }
+
+    async *chatCompletionStream(options = {}) {
+        let lastError = null;
+
+        for await (const { config, client, model, name } of this.availableTargets(options)) {
+            let started = false;
+            let failed = false;
+            let content = '';
+            let usage = null;
+            try {
+                for await (const chunk of client.chatCompletionStream({ ...options, model })) {
+                    usage = chunk.usage || usage;
+                    content += chunk.choices?.[0]?.delta?.content || '';
+                    started = true;
+                    yield chunk;
+                }
+                return;
+            } catch (error) {
+                failed = true;
+                lastError = error;
+                await this.recordFailure(name, error);
+                // 已向用户发送部分内容时不再切换，避免回复重复
+                if (started) {
+                    throw error;
+                }
+            } finally {
+                // 调用方提前结束（如回复未通过内容审核）或输出部分内容后出错时，同样记录已产生的用量
+                if (!failed) {
+                    await this.recordSuccess(config, model, name);
+                }
+                if (started || !failed) {
+                    this.recordUsage(config, model, usage, options.messages, () => estimateTokens(content));
+                }
+            }
+        }
+
+        throw lastError || new Error('所有 AI 服务均处于熔断状态');
+    }
+}
@@ -0,0 +1,140 @@
+/**
+ * 完整回答页面
+ * 回复过长时将完整回答保存到 R2（配置了 ANSWERS 存储桶时）或 KV，生成由 Worker 渲染的网页，以图文链接消息发送给用户
+ */
+
+/**
+ * 转义 HTML 特殊字符
+ */
+function escapeHtml(text) {
+    return String(text ?? '').replace(
+        /[&<>"']/g,
+        char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char],
+    );
+}
+
+export class AnswerPageStore {
+    /**
+     * @param {object} options bucket: R2 存储桶, kv: KV 存储（未配置 R2 时使用）, baseUrl: Worker 对外访问地址, ttl: 保存时间（秒）
+     */
+    constructor(options = {}) {
+        this.bucket = options.bucket || null;
+        this.kv = options.kv || null;
+        this.baseUrl = (options.baseUrl || '').replace(/\/$/, '');
+        this.ttl = options.ttl || 7 * 86400;
+        this.keyPrefix = options.keyPrefix || 'answer';
+    }
+
+    /**
+     * 从环境变量创建实例
+     */
+    static fromEnv(env) {
+        return new AnswerPageStore({
+            bucket: env.ANSWERS,
+            kv: env.CONVERSATIONS,
+            baseUrl: env.ANSWER_PAGE_BASE_URL,
+            ttl: env.ANSWER_PAGE_TTL ? parseInt(env.ANSWER_PAGE_TTL) : undefined,
+        });
+    }
+
+    /**
+     * 是否可以生成回答页面，需要配置对外访问地址
+     */
+    get enabled() {
+        return Boolean(this.baseUrl && (this.bucket || this.kv));
+    }
+
+    /**
+     * 生成回答的存储键
+     */
+    getAnswerKey(id) {
+        return `${this.keyPrefix}:${id}`;
+    }
+
+    /**
+     * 回答页面地址
+     */
+    getPageUrl(id) {
+        return `${this.baseUrl}/answers/${id}`;
+    }
+
+    /**
+     * 保存完整回答
+     * @param {object} answer question, content
+     * @returns {Promise<{id: string, url: string}>}
+     */
+    async save({ question, content }) {
+        // 随机 ID 不可枚举，页面无需登录即可访问
+        const id = crypto.randomUUID();
+        const createdAt = Date.now();
+        // R2 对象不会自动过期，读取时按 expiresAt 判断
+        const value = JSON.stringify({ question, content, createdAt, expiresAt: createdAt + this.ttl * 1000 });
+
+        if (this.bucket) {
+            await this.bucket.put(this.getAnswerKey(id), value, {
+                httpMetadata: { contentType: 'application/json' },
+            });
+        } else {
+            await this.kv.put(this.getAnswerKey(id), value, { expirationTtl: this.ttl });
+        }
+
+        return { id, url: this.getPageUrl(id) };
+    }
+
+    /**
+     * 读取完整回答，不存在或已过期时返回 null，R2 中已过期的回答同时删除
+     */
+    async get(id) {
+        try {
+            if (this.bucket) {
+                const object = await this.bucket.get(this.getAnswerKey(id));
+                const answer = object ? await object.json() : null;
+                if (answer?.expiresAt && answer.expiresAt <= Date.now()) {
+                    await this.bucket.delete(this.getAnswerKey(id));
+                    return null;
+                }
+                return answer;
+            }
+
+            const value = await this.kv.get(this.getAnswerKey(id));
+            return value ? JSON.parse(value) : null;
+        } catch (error) {
+            console.error('读取完整回答失败:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 渲染回答页面，段落之间以空行分隔
+     */
+    static render(answer) {
+        const title = answer.question ? `关于“${answer.question}”的回答` : '完整回答';
+        const paragraphs = answer.content
+            .split(/\n{2,}/)
+            .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+            .join('\n');
+
+        return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+body { margin: 0; padding: 20px 16px 40px; font: 16px/1.75 -apple-system, "PingFang SC", "Microsoft YaHei", sans-serif; color: #222; background: #f7f7f7; }
+main { max-width: 720px; margin: 0 auto; padding: 20px; background: #fff; border-radius: 8px; }
+h1 { margin: 0 0 16px; font-size: 18px; }
+p { margin: 0 0 12px; word-break: break-word; }
+time { display: block; margin-top: 20px; font-size: 13px; color: #999; }
+</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(title)}</h1>
+${paragraphs}
+<time>${new Date(answer.createdAt).toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' })}</time>
+</main>
+</body>
+</html>`;
+    }
+}
@@ -0,0 +1,95 @@
+/**
+ * 熔断器
+ * 使用 Cloudflare KV 记录上游服务的连续失败次数，达到阈值后在冷却时间内跳过该服务，
+ * 冷却结束后放行请求试探，成功则恢复，失败则重新熔断
+ */
+
+export class CircuitBreaker {
+    /**
+     * @param {KVNamespace} kv KV 存储
+     * @param {object} options failureThreshold: 熔断前允许的连续失败次数, cooldown: 熔断持续时间（秒）
+     */
+    constructor(kv, options = {}) {
+        this.kv = kv;
+        this.keyPrefix = options.keyPrefix || 'circuit';
+        this.failureThreshold = options.failureThreshold || 3;
+        this.cooldown = options.cooldown || 60;
+        // 本实例读取或写入过的熔断状态，成功时据此判断是否需要清除
+        this.states = new Map();
+    }
+
+    /**
+     * 生成熔断状态的 KV 键
+     */
+    getStateKey(name) {
+        return `${this.keyPrefix}:${name}`;
+    }
+
+    /**
+     * 读取熔断状态 { failures, openUntil }
+     */
+    async getState(name) {
+        let state;
+        try {
+            const value = await this.kv.get(this.getStateKey(name));
+            state = value ? JSON.parse(value) : { failures: 0, openUntil: 0 };
+        } catch (error) {
+            console.error('读取熔断状态失败:', error);
+            state = { failures: 0, openUntil: 0 };
+        }
+
+        this.states.set(name, state);
+        return state;
+    }
+
+    /**
+     * 是否处于熔断中（冷却时间内）
+     */
+    async isOpen(name) {
+        const { openUntil } = await this.getState(name);
+        return Date.now() < openUntil;
+    }
+
+    /**
+     * 记录一次成功，有失败次数或熔断状态时才清除，避免每次调用都写入同一个 KV 键
+     */
+    async recordSuccess(name) {
+        const state = this.states.has(name) ? this.states.get(name) : await this.getState(name);
+        if (!state.failures && !state.openUntil) {
+            return;
+        }
+
+        this.states.set(name, { failures: 0, openUntil: 0 });
+        try {
+            await this.kv.delete(this.getStateKey(name));
+        } catch (error) {
+            console.error('清除熔断状态失败:', error);
+        }
+    }
+
+    /**
+     * 记录一次失败，达到阈值时开始熔断
+     * @returns {Promise<boolean>} 是否已熔断
+     */
+    async recordFailure(name) {
+        const state = await this.getState(name);
+        const failures = state.failures + 1;
+        const open = failures >= this.failureThreshold;
+        const openUntil = open ? Date.now() + this.cooldown * 1000 : state.openUntil;
+        this.states.set(name, { failures, openUntil });
+
+        try {
+            await this.kv.put(this.getStateKey(name), JSON.stringify({ failures, openUntil }), {
+                // 失败次数在冷却时间后自动过期，KV 最小过期时间为 60 秒
+                expirationTtl: Math.max(this.cooldown * 2, 60),
+            });
+        } catch (error) {
+            console.error('记录熔断状态失败:', error);
+        }
+
+        if (open) {
+            console.warn(`${name} 连续失败 ${failures} 次，熔断 ${this.cooldown} 秒`);
+        }
+        return open;
+    }
+}
@@ -3,11 +3,166 @@
  * Cloudflare Worker 版本
  */
 
+/**
+ * 同步消息时表示游标无效或已过期的错误码，只有这些错误才重置游标从头同步
+ * 40058: 参数不合法（cursor 无效或已过期）
+ */
+const CURSOR_INVALID_ERRCODES = [40058];
+
+/**
+ * sync_msg 消息来源
+ */
+export const MessageOrigin = {
+    CUSTOMER: 3, // 微信客户发送的消息
+    EVENT: 4, // 系统推送的事件消息
+    SERVICER: 5, // 接待人员在企业微信客户端发送的消息
+};
+
+/**
+ * 会话状态
+ */
+export const ServiceState = {
+    UNTREATED: 0, // 未处理
+    AI: 1, // 由智能助手接待
+    QUEUEING: 2, // 待接入池排队中
+    HUMAN: 3, // 由人工接待
+    ENDED: 4, // 已结束或未开始
+};
+
+/**
+ * 将 sync_msg 返回的消息转换为统一结构，不支持的消息类型返回 null
+ */
+function normalizeMessage(message) {
+    if (!message.msgid) {
+        return null;
+    }
+
+    const normalized = {
+        msgtype: message.msgtype,
+        msgid: message.msgid,
+        origin: message.origin,
+        externalUserid: message.external_userid || '',
+        sendTimestamp: message.send_time || 0,
+        sendTime: new Date(parseInt(message.send_time) * 1000).toLocaleString('zh-CN'),
+        originalMessage: message,
+    };
+
+    switch (message.msgtype) {
+        case 'text':
+            if (!message.text?.content) return null;
+            return { ...normalized, content: message.text.content };
+        case 'image':
+            if (!message.image?.media_id) return null;
+            return { ...normalized, content: '', mediaId: message.image.media_id };
+        case 'voice':
+            if (!message.voice?.media_id) return null;
+            return { ...normalized, content: '', mediaId: message.voice.media_id };
+        case 'event':
+            if (!message.event?.event_type) return null;
+            return {
+                ...normalized,
+                content: '',
+                externalUserid: message.event.external_userid || '',
+                event: message.event,
+            };
+        default:
+            return null;
+    }
+}
+
+/**
+ * ArrayBuffer 转 Base64
+ */
+export function arrayBufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * 按 external_userid 分组消息，组内保持原有顺序
+ * @param {Array} messages 消息列表
+ * @returns {Map<string, Array>}
+ */
+export function groupMessagesByUser(messages) {
+    const groups = new Map();
+    for (const message of messages) {
+        if (!groups.has(message.externalUserid)) {
+            groups.set(message.externalUserid, []);
+        }
+        groups.get(message.externalUserid).push(message);
+    }
+    return groups;
+}
+
+/**
+ * access_token 无效或已过期的错误码，遇到时清除缓存并重试一次
+ */
+const TOKEN_INVALID_ERRCODES = [40014, 42001];
+
+/**
+ * 可退避重试的错误码
+ * -1: 系统繁忙, 45009: 接口调用超过限制, 45011: API 调用太频繁, 45033: 接口并发调用超过限制
+ */
+const RETRYABLE_ERRCODES = [-1, 45009, 45011, 45033];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 企业微信接口错误
+ */
+export class WeComApiError extends Error {
+    /**
+     * @param {string} message 错误描述
+     * @param {object} details errcode, errmsg: 接口返回的错误码和错误信息, httpStatus: HTTP 状态码, path: 接口路径
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'WeComApiError';
+        this.errcode = details.errcode ?? null;
+        this.errmsg = details.errmsg ?? null;
+        this.httpStatus = details.httpStatus ?? null;
+        this.path = details.path ?? null;
+    }
+
+    /**
+     * 根据接口返回结果创建错误
+     */
+    static fromResult(action, result, path) {
+        return new WeComApiError(`${action}: ${JSON.stringify(result)}`, {
+            errcode: result.errcode,
+            errmsg: result.errmsg,
+            path,
+        });
+    }
+
+    /**
+     * 是否为可重试的临时错误（系统繁忙、频率限制、HTTP 429/5xx）
+     */
+    get retryable() {
+        return (
+            RETRYABLE_ERRCODES.includes(this.errcode) ||
+            this.httpStatus === 429 ||
+            (this.httpStatus !== null && this.httpStatus >= 500)
+        );
+    }
+}
+
 /**
  * 微信智能对话客户端
  */
 export class WeChatClient {
-    constructor(corpid, corpsecret, account = null) {
+    /**
+     * @param {string} corpid 企业ID
+     * @param {string} corpsecret 微信客服 Secret
+     * @param {string} account 客服账号
+     * @param {object} options tokenCache: 跨请求共享的 AccessTokenCache，未提供时仅在实例内缓存；
+     *                         maxRetries: 临时错误的最大重试次数, retryBaseDelay: 退避基础时间（毫秒）
+     */
+    constructor(corpid, corpsecret, account = null, options = {}) {
         this.corpid = corpid;
         this.corpsecret = corpsecret;
         this.account = account;
@@ -15,6 +170,9 @@ export class WeChatClient {
         this.accessToken = null;
         this.tokenExpiresAt = 0;
         this.timeout = 30000;
+        this.tokenCache = options.tokenCache || null;
+        this.maxRetries = options.maxRetries ?? 3;
+        this.retryBaseDelay = options.retryBaseDelay ?? 500;
     }
 
     // media type
@@ -26,436 +184,510 @@ export class WeChatClient {
     };
 
     /**
-     * 获取访问令牌
+     * 发送单次 HTTP 请求并检查 errcode
+     * @param {string} path 接口路径，如 /kf/send_msg
+     * @param {string|null} accessToken 访问令牌，/gettoken 等无需令牌的接口传 null
+     * @param {object} options method, query, body(JSON), formData, media(返回文件内容), action(错误描述)
      */
-    async getAccessToken() {
-        // 如果token未过期，直接返回
-        if (this.accessToken && Date.now() < this.tokenExpiresAt) {
-            return this.accessToken;
+    async send(path, accessToken, options = {}) {
+        const { method = 'POST', query = {}, body, formData, media = false, action = path } = options;
+
+        const url = new URL(`${this.baseUrl}${path}`);
+        if (accessToken) {
+            url.searchParams.set('access_token', accessToken);
+        }
+        for (const [key, value] of Object.entries(query)) {
+            if (value !== undefined && value !== null) {
+                url.searchParams.set(key, value);
+            }
         }
 
-        const url = `${this.baseUrl}/gettoken?corpid=${this.corpid}&corpsecret=${this.corpsecret}`;
+        const init = { method, signal: AbortSignal.timeout(this.timeout) };
+        if (formData) {
+            init.body = formData;
+        } else if (body !== undefined) {
+            init.headers = { 'Content-Type': 'application/json' };
+            init.body = JSON.stringify(body);
+        }
 
+        let response;
         try {
-            const response = await fetch(url, {
-                method: 'GET',
-                signal: AbortSignal.timeout(this.timeout),
+            response = await fetch(url, init);
+        } catch (error) {
+            throw new WeComApiError(`${action}: ${error.message}`, { path });
+        }
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new WeComApiError(`${action}: HTTP ${response.status} - ${errorText}`, {
+                httpStatus: response.status,
+                path,
             });
+        }
 
-            if (!response.ok) {
-                throw new Error(`获取access_token失败: ${response.statusText}`);
-            }
+        // 下载素材成功时返回文件内容，出错时返回 JSON
+        const contentType = response.headers.get('Content-Type') || 'application/octet-stream';
+        if (media && !contentType.includes('application/json')) {
+            return {
+                data: await response.arrayBuffer(),
+                contentType: contentType.split(';')[0].trim(),
+            };
+        }
+
+        const result = await response.json();
+        if (result.errcode !== undefined && result.errcode !== 0) {
+            throw WeComApiError.fromResult(action, result, path);
+        }
+
+        return result;
+    }
+
+    /**
+     * 对临时错误按指数退避重试，永久错误直接抛出
+     */
+    async withRetry(operation, action) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await operation();
+            } catch (error) {
+                if (!(error instanceof WeComApiError) || !error.retryable || attempt >= this.maxRetries) {
+                    throw error;
+                }
 
-            const result = await response.json();
-            if (result.errcode !== 0) {
-                throw new Error(`获取access_token失败: ${JSON.stringify(result)}`);
+                const delay = this.retryBaseDelay * 2 ** attempt + Math.random() * this.retryBaseDelay;
+                console.warn(`${action} 临时失败(${error.errcode ?? error.httpStatus})，${Math.round(delay)}ms 后重试`);
+                await sleep(delay);
             }
+        }
+    }
 
-            this.accessToken = result.access_token;
-            this.tokenExpiresAt = Date.now() + 7200 * 1000; // token有效期2小时
+    /**
+     * 调用需要 access_token 的接口
+     * 令牌无效或过期时刷新后重试一次，临时错误按指数退避重试
+     */
+    async request(path, options = {}) {
+        const action = options.action || path;
 
-            return this.accessToken;
+        try {
+            return await this.withRetry(
+                () => this.withAccessToken(accessToken => this.send(path, accessToken, options)),
+                action,
+            );
         } catch (error) {
-            console.error('请求失败:', error);
-            throw new Error(`网络请求失败: ${error.message}`);
+            console.error(`${action}:`, error);
+            throw error;
         }
     }
 
     /**
-     * 发送文本消息
+     * 调用 /gettoken 获取新的访问令牌
+     * @returns {Promise<{accessToken: string, expiresIn: number}>}
      */
-    async sendTextMessage(touser, openKfid, content) {
-        if (!this.accessToken) {
-            await this.getAccessToken();
+    async fetchAccessToken() {
+        const action = '获取access_token失败';
+        const result = await this.withRetry(
+            () =>
+                this.send('/gettoken', null, {
+                    method: 'GET',
+                    query: { corpid: this.corpid, corpsecret: this.corpsecret },
+                    action,
+                }),
+            action,
+        );
+
+        return { accessToken: result.access_token, expiresIn: result.expires_in || 7200 };
+    }
+
+    /**
+     * 获取访问令牌
+     */
+    async getAccessToken() {
+        if (this.tokenCache) {
+            this.accessToken = await this.tokenCache.get(this.corpid, this.corpsecret, () => this.fetchAccessToken());
+            return this.accessToken;
         }
 
-        const url = `${this.baseUrl}/kf/send_msg?access_token=${this.accessToken}`;
-        const data = {
-            touser,
-            open_kfid: openKfid,
-            msgtype: 'text',
-            text: { content },
-        };
+        // 如果token未过期，直接返回
+        if (this.accessToken && Date.now() < this.tokenExpiresAt) {
+            return this.accessToken;
+        }
 
-        try {
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(data),
-                signal: AbortSignal.timeout(this.timeout),
-            });
+        const { accessToken, expiresIn } = await this.fetchAccessToken();
+        this.accessToken = accessToken;
+        // 提前 5 分钟刷新
+        this.tokenExpiresAt = Date.now() + (expiresIn - 300) * 1000;
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`发送文本消息失败: ${errorText}`);
-            }
+        return this.accessToken;
+    }
 
-            const result = await response.json();
-            if (result.errcode !== 0) {
-                throw new Error(`发送文本消息失败: ${JSON.stringify(result)}`);
-            }
+    /**
+     * 使访问令牌失效
+     */
+    async invalidateAccessToken(accessToken) {
+        if (this.accessToken === accessToken) {
+            this.accessToken = null;
+            this.tokenExpiresAt = 0;
+        }
 
-            return result;
-        } catch (error) {
-            console.error('发送消息失败:', error);
-            throw error;
+        if (this.tokenCache) {
+            await this.tokenCache.invalidate(this.corpid, this.corpsecret, accessToken);
         }
     }
 
     /**
-     * 同步消息
+     * 使用访问令牌调用接口，令牌无效或过期（40014/42001）时刷新后重试一次
+     * @param {function(string): Promise<any>} operation 接收 access_token 的接口调用
      */
-    async syncMessages(msgToken, kfId, nextCursor = null) {
-        if (!this.accessToken) {
-            await this.getAccessToken();
-        }
-
-        const url = `${this.baseUrl}/kf/sync_msg?access_token=${this.accessToken}`;
-        const data = {
-            token: msgToken,
-            open_kfid: kfId,
-            limit: 100,
-            voice_format: 0,
-            cursor: nextCursor,
-        };
+    async withAccessToken(operation) {
+        const accessToken = await this.getAccessToken();
 
         try {
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(data),
-                signal: AbortSignal.timeout(this.timeout),
-            });
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`同步消息请求失败: HTTP ${response.status} - ${errorText}`);
+            return await operation(accessToken);
+        } catch (error) {
+            if (!TOKEN_INVALID_ERRCODES.includes(error.errcode)) {
+                throw error;
             }
 
-            const result = await response.json();
+            console.warn(`access_token 已失效(${error.errcode})，刷新后重试`);
+            await this.invalidateAccessToken(accessToken);
+            return operation(await this.getAccessToken());
+        }
+    }
 
-            if (result.errcode !== 0) {
-                throw new Error(`同步消息失败: ${JSON.stringify(result)}`);
-            }
+    /**
+     * 发送客服消息
+     * @param {string} msgtype 消息类型，如 text、image、link、file、msgmenu
+     * @param {object} content 对应消息类型的内容
+     */
+    async sendMessage(touser, openKfid, msgtype, content, action = '发送消息失败') {
+        return this.request('/kf/send_msg', {
+            body: {
+                touser,
+                open_kfid: openKfid,
+                msgtype,
+                [msgtype]: content,
+            },
+            action,
+        });
+    }
 
-            return result;
-        } catch (error) {
-            console.error('同步消息失败:', error);
-            throw error;
-        }
+    /**
+     * 发送文本消息
+     */
+    async sendTextMessage(touser, openKfid, content) {
+        return this.sendMessage(touser, openKfid, 'text', { content }, '发送文本消息失败');
     }
 
     /**
-     * 同步所有消息
+     * 同步消息
      */
-    async syncAllMessages(msgToken, kfId) {
+    async syncMessages(msgToken, kfId, nextCursor = null) {
+        return this.request('/kf/sync_msg', {
+            body: {
+                token: msgToken,
+                open_kfid: kfId,
+                limit: 100,
+                voice_format: 0,
+                cursor: nextCursor,
+            },
+            action: '同步消息失败',
+        });
+    }
+
+    /**
+     * 从指定游标开始同步，直到没有更多消息
+     * @returns {Promise<{messages: Array, nextCursor: string|null}>}
+     */
+    async syncMessagesFrom(msgToken, kfId, cursor = null) {
         const allMessages = [];
-        let cursor = null;
+        let nextCursor = cursor;
 
         while (true) {
-            const messages = await this.syncMessages(msgToken, kfId, cursor);
+            const messages = await this.syncMessages(msgToken, kfId, nextCursor);
             const msgList = messages.msg_list || [];
             allMessages.push(...msgList);
 
-            cursor = messages.next_cursor;
-            if (!cursor || msgList.length === 0) {
+            if (messages.next_cursor) {
+                nextCursor = messages.next_cursor;
+            }
+
+            if (!messages.has_more || !messages.next_cursor || msgList.length === 0) {
                 break;
             }
         }
 
-        return allMessages;
+        return { messages: allMessages, nextCursor };
+    }
+
+    /**
+     * 同步所有消息
+     */
+    async syncAllMessages(msgToken, kfId) {
+        const { messages } = await this.syncMessagesFrom(msgToken, kfId, null);
+        return messages;
     }
 
     /**
-     * 获取最新的文本消息
+     * 增量同步消息
+     * 从 KV 中保存的游标开始拉取，完成后写回 next_cursor。
+     * 没有游标（首次同步或游标失效）时需要从头拉取，此时只返回 bootstrapWindow 秒内的消息，避免回复历史消息
      * @param {string} msgToken 消息token
      * @param {string} kfId 客服ID
-     * @param {MessageTracker} messageTracker 消息跟踪器
-     * @returns {Array} 未处理的文本消息列表
+     * @param {SyncCursorStore} cursorStore 游标存储
+     * @param {object} options bootstrapWindow: 从头同步时保留的消息时间窗口（秒）
+     * @returns {Promise<Array>} 新消息列表
      */
-    async getLatestTextMessages(msgToken, kfId, messageTracker = null) {
+    async syncNewMessages(msgToken, kfId, cursorStore, options = {}) {
+        const bootstrapWindow = options.bootstrapWindow || 600;
+        let state = await cursorStore.getCursor(kfId);
+        let result;
+
         try {
-            // 同步所有消息
-            const allMessages = await this.syncAllMessages(msgToken, kfId);
-
-            // 按发送时间倒序排序
-            allMessages.sort((a, b) => (b.send_time || 0) - (a.send_time || 0));
-
-            // 筛选未处理的文本消息
-            const unprocessedTextMessages = [];
-
-            for (const message of allMessages) {
-                if (message.msgtype === 'text') {
-                    const sendTime = new Date(parseInt(message.send_time) * 1000).toLocaleString('zh-CN');
-                    const content = message.text?.content || '';
-                    const msgid = message.msgid || '';
-                    const externalUserid = message.external_userid || '';
-
-                    if (content && msgid) {
-                        // 检查消息是否已处理
-                        let isProcessed = false;
-                        if (messageTracker) {
-                            isProcessed = await messageTracker.isMessageProcessed(msgid);
-                        }
-
-                        if (!isProcessed) {
-                            unprocessedTextMessages.push({
-                                content,
-                                msgid,
-                                externalUserid,
-                                sendTime,
-                                originalMessage: message,
-                            });
-                        }
-                    }
-                }
-                // 只处理最新一条消息
-                break;
+            result = await this.syncMessagesFrom(msgToken, kfId, state?.cursor || null);
+        } catch (error) {
+            // 网络错误、超时、HTTP 5xx 等没有 errcode 的错误同样保留游标，避免重新拉取全部历史
+            if (!state?.cursor || !CURSOR_INVALID_ERRCODES.includes(error.errcode)) {
+                throw error;
             }
 
-            return unprocessedTextMessages;
-        } catch (error) {
-            console.error('获取最新文本消息失败:', error);
-            throw error;
+            // 游标失效，重置后从头同步
+            console.warn(`同步游标失效，重置后从头同步: kfId=${kfId}, errcode=${error.errcode}`);
+            await cursorStore.resetCursor(kfId);
+            state = null;
+            result = await this.syncMessagesFrom(msgToken, kfId, null);
         }
-    }
 
-    /**
-     * 发送图片消息
-     */
-    async sendImageMessage(touser, openKfid, mediaId) {
-        if (!this.accessToken) {
-            await this.getAccessToken();
+        let { messages } = result;
+        if (!state?.cursor) {
+            const since = Math.floor(Date.now() / 1000) - bootstrapWindow;
+            messages = messages.filter(message => (message.send_time || 0) >= since);
         }
 
-        const url = `${this.baseUrl}/kf/send_msg?access_token=${this.accessToken}`;
-        const data = {
-            touser,
-            open_kfid: openKfid,
-            msgtype: 'image',
-            image: { media_id: mediaId },
-        };
+        await cursorStore.saveCursor(kfId, result.nextCursor, state?.version ?? null);
 
-        try {
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(data),
-                signal: AbortSignal.timeout(this.timeout),
-            });
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`发送图片消息失败: ${errorText}`);
-            }
-
-            const result = await response.json();
-            if (result.errcode !== 0) {
-                throw new Error(`发送图片消息失败: ${JSON.stringify(result)}`);
-            }
+        return messages;
+    }
 
-            return result;
+    /**
+     * 获取所有未处理的客户消息和事件
+     * @param {string} msgToken 消息token
+     * @param {string} kfId 客服ID
+     * @param {MessageTracker} messageTracker 消息跟踪器
+     * @param {SyncCursorStore} cursorStore 游标存储，未提供时同步全部消息
+     * @returns {Array} 按发送时间正序排列的未处理消息列表
+     */
+    async getUnprocessedMessages(msgToken, kfId, messageTracker = null, cursorStore = null) {
+        try {
+            // 有游标存储时只同步新消息，否则同步所有消息
+            const allMessages = cursorStore
+                ? await this.syncNewMessages(msgToken, kfId, cursorStore)
+                : await this.syncAllMessages(msgToken, kfId);
+
+            // 只保留客户发送的消息和系统事件，按发送时间正序排序
+            const inboundMessages = allMessages
+                .map(normalizeMessage)
+                .filter(
+                    message =>
+                        message &&
+                        (message.origin === MessageOrigin.CUSTOMER || message.origin === MessageOrigin.EVENT),
+                )
+                .sort((a, b) => a.sendTimestamp - b.sendTimestamp);
+
+            // 批量检查消息是否已处理
+            const processed = messageTracker
+                ? await messageTracker.checkMultipleMessages(inboundMessages.map(message => message.msgid))
+                : {};
+
+            return inboundMessages.filter(message => !processed[message.msgid]);
         } catch (error) {
-            console.error('发送图片消息失败:', error);
+            console.error('获取未处理消息失败:', error);
             throw error;
         }
     }
 
+    /**
+     * 发送事件响应消息（如进入会话时的欢迎语）
+     * @param {string} code 事件中的 welcome_code 等响应码
+     * @param {string} msgtype text 或 msgmenu
+     * @param {object} content 对应消息类型的内容
+     */
+    async sendMessageOnEvent(code, msgtype, content) {
+        return this.request('/kf/send_msg_on_event', {
+            body: {
+                code,
+                msgtype,
+                [msgtype]: content,
+            },
+            action: '发送事件响应消息失败',
+        });
+    }
+
+    /**
+     * 发送图片消息
+     */
+    async sendImageMessage(touser, openKfid, mediaId) {
+        return this.sendMessage(touser, openKfid, 'image', { media_id: mediaId }, '发送图片消息失败');
+    }
+
     /**
      * 发送链接消息
      */
     async sendLinkMessage(touser, openKfid, title, desc, url, thumbMediaId) {
-        if (!this.accessToken) {
-            await this.getAccessToken();
-        }
-
-        const apiUrl = `${this.baseUrl}/kf/send_msg?access_token=${this.accessToken}`;
-        const data = {
+        return this.sendMessage(
             touser,
-            open_kfid: openKfid,
-            msgtype: 'link',
-            link: {
+            openKfid,
+            'link',
+            {
                 title,
                 desc,
                 url,
                 thumb_media_id: thumbMediaId,
             },
-        };
-
-        try {
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(data),
-                signal: AbortSignal.timeout(this.timeout),
-            });
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`发送链接消息失败: ${errorText}`);
-            }
-
-            const result = await response.json();
-            if (result.errcode !== 0) {
-                throw new Error(`发送链接消息失败: ${JSON.stringify(result)}`);
-            }
+            '发送链接消息失败',
+        );
+    }
 
-            return result;
-        } catch (error) {
-            console.error('发送链接消息失败:', error);
-            throw error;
-        }
+    /**
+     * 发送菜单消息
+     * @param {object} menu msgmenu 内容 { head_content, list, tail_content }
+     */
+    async sendMenuMessage(touser, openKfid, menu) {
+        return this.sendMessage(touser, openKfid, 'msgmenu', menu, '发送菜单消息失败');
     }
 
     /**
      * 获取客服账号列表
      */
     async getKfAccountList() {
-        if (!this.accessToken) {
-            await this.getAccessToken();
-        }
-
-        const url = `${this.baseUrl}/kf/account/list?access_token=${this.accessToken}`;
-
-        try {
-            const response = await fetch(url, {
-                method: 'GET',
-                signal: AbortSignal.timeout(this.timeout),
-            });
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`获取客服账号列表失败: ${errorText}`);
-            }
-
-            const result = await response.json();
-            if (result.errcode !== 0) {
-                throw new Error(`获取客服账号列表失败: ${JSON.stringify(result)}`);
-            }
-
-            return result;
-        } catch (error) {
-            console.error('获取客服账号列表失败:', error);
-            throw error;
-        }
+        return this.request('/kf/account/list', { method: 'GET', action: '获取客服账号列表失败' });
     }
 
     /**
      * 获取会话状态
      */
     async getServiceState(openKfid, externalUserid) {
-        if (!this.accessToken) {
-            await this.getAccessToken();
-        }
-
-        const url = `${this.baseUrl}/kf/service_state/get?access_token=${this.accessToken}`;
-        const data = {
-            open_kfid: openKfid,
-            external_userid: externalUserid,
-        };
-
-        try {
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(data),
-                signal: AbortSignal.timeout(this.timeout),
-            });
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`获取会话状态失败: ${errorText}`);
-            }
+        return this.request('/kf/service_state/get', {
+            body: {
+                open_kfid: openKfid,
+                external_userid: externalUserid,
+            },
+            action: '获取会话状态失败',
+        });
+    }
 
-            const result = await response.json();
-            if (result.errcode !== 0) {
-                throw new Error(`获取会话状态失败: ${JSON.stringify(result)}`);
-            }
+    /**
+     * 批量获取客户基础信息
+     * @param {string[]} externalUserids 用户ID列表，最多 100 个
+     * @param {boolean} needEnterSessionContext 是否返回最近一次进入会话的场景信息
+     */
+    async batchGetCustomers(externalUserids, needEnterSessionContext = true) {
+        return this.request('/kf/customer/batchget', {
+            body: {
+                external_userid_list: externalUserids,
+                need_enter_session_context: needEnterSessionContext ? 1 : 0,
+            },
+            action: '获取客户基础信息失败',
+        });
+    }
 
-            return result;
-        } catch (error) {
-            console.error('获取会话状态失败:', error);
-            throw error;
-        }
+    /**
+     * 变更会话状态
+     * @param {string} openKfid 客服ID
+     * @param {string} externalUserid 用户ID
+     * @param {number} serviceState 目标状态，见 ServiceState
+     * @param {string} servicerUserid 接待人员 userid，转为人工接待（3）时必填
+     */
+    async transServiceState(openKfid, externalUserid, serviceState, servicerUserid = null) {
+        return this.request('/kf/service_state/trans', {
+            body: {
+                open_kfid: openKfid,
+                external_userid: externalUserid,
+                service_state: serviceState,
+                ...(servicerUserid && { servicer_userid: servicerUserid }),
+            },
+            action: '变更会话状态失败',
+        });
     }
 
     /**
      * 发送文件消息
      */
     async sendFileMessage(touser, openKfid, mediaId) {
-        if (!this.accessToken) {
-            await this.getAccessToken();
-        }
-
-        const url = `${this.baseUrl}/kf/send_msg?access_token=${this.accessToken}`;
-        const data = {
-            touser,
-            open_kfid: openKfid,
-            msgtype: 'file',
-            file: { media_id: mediaId },
-        };
-
-        try {
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(data),
-                signal: AbortSignal.timeout(this.timeout),
-            });
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`发送文件消息失败: ${errorText}`);
-            }
-
-            const result = await response.json();
-            if (result.errcode !== 0) {
-                throw new Error(`发送文件消息失败: ${JSON.stringify(result)}`);
-            }
-
-            return result;
-        } catch (error) {
-            console.error('发送文件消息失败:', error);
-            throw error;
-        }
+        return this.sendMessage(touser, openKfid, 'file', { media_id: mediaId }, '发送文件消息失败');
     }
 
     /**
      * 上传临时素材
      */
     async uploadMedia(mediaType, file, filename) {
-        if (!this.accessToken) {
-            await this.getAccessToken();
-        }
-
-        const url = `${this.baseUrl}/media/upload?access_token=${this.accessToken}&type=${mediaType}`;
         const formData = new FormData();
-        formData.append('file', file);
-        formData.append('filename', filename);
+        formData.append('file', file, filename);
 
-        try {
-            const response = await fetch(url, {
-                method: 'POST',
-                body: formData,
-            });
+        return this.request('/media/upload', {
+            query: { type: mediaType },
+            formData,
+            action: '上传临时素材失败',
+        });
+    }
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`上传临时素材失败: ${errorText}`);
-            }
+    /**
+     * 下载临时素材
+     * @returns {Promise<{data: ArrayBuffer, contentType: string}>}
+     */
+    async downloadMedia(mediaId) {
+        return this.request('/media/get', {
+            method: 'GET',
+            query: { media_id: mediaId },
+            media: true,
+            action: '下载临时素材失败',
+        });
+    }
+}
+
+/**
+ * 创建流式请求的空闲超时：超过 timeout 毫秒未调用 reset 时中止请求
+ */
+export function createIdleTimeout(timeout, message = '流式响应超时') {
+    const controller = new AbortController();
+    let timer = null;
+
+    const reset = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => controller.abort(new Error(message)), timeout);
+    };
+    reset();
+
+    return { signal: controller.signal, reset, clear: () => clearTimeout(timer) };
+}
+
+/**
+ * 逐行读取流式响应（SSE 或 NDJSON）
+ * 网络分块可能在一行中间断开，未读完的行留到下一块拼接
+ * @param {Response} response fetch 响应
+ * @param {function(): void} onChunk 每收到一块数据时调用，用于重置空闲超时
+ */
+export async function* readStreamLines(response, onChunk = () => {}) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
 
-            const result = await response.json();
-            if (result.errcode !== 0) {
-                throw new Error(`上传临时素材失败: ${JSON.stringify(result)}`);
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            onChunk();
+
+            buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = done ? '' : lines.pop();
+
+            for (const line of lines) {
+                if (line.trim()) yield line.trim();
             }
 
-            return result;
-        } catch (error) {
-            console.error('上传临时素材失败:', error);
-            throw error;
+            if (done) break;
         }
+    } finally {
+        reader.releaseLock();
     }
 }
 
@@ -472,6 +704,8 @@ export class OpenAIClient {
         this.timeout = config.timeout || 30000;
         this.organization = config.organization;
         this.project = config.project;
+        // 流式响应最后返回 token 用量，不支持 stream_options 的兼容服务可以关闭
+        this.streamUsage = config.streamUsage !== false;
 
         if (!this.apiKey) {
             throw new Error('API Key is required');
@@ -535,7 +769,7 @@ export class OpenAIClient {
             throw new Error('messages is required and must be an array');
         }
 
-        const url = `${this.baseUrl}/v1/chat/completions`;
+        const url = this.getChatCompletionsUrl(model);
         const data = {
             model,
             messages,
@@ -576,27 +810,42 @@ export class OpenAIClient {
         }
     }
 
+    /**
+     * 聊天接口地址，Azure 等按部署名区分模型的服务可覆盖
+     */
+    getChatCompletionsUrl(model) {
+        return `${this.baseUrl}/v1/chat/completions`;
+    }
+
     /**
      * 流式聊天完成
+     * timeout 为两次收到数据之间的最长间隔，长回答只要持续输出就不会超时
      */
     async *chatCompletionStream(options = {}) {
-        const streamOptions = { ...options, stream: true };
+        const { messages, model = this.defaultModel, temperature = 0.7, ...otherOptions } = options;
+
+        if (!messages || !Array.isArray(messages)) {
+            throw new Error('messages is required and must be an array');
+        }
 
-        const url = `${this.baseUrl}/v1/chat/completions`;
+        const url = this.getChatCompletionsUrl(model);
         const data = {
-            model: options.model || this.defaultModel,
-            messages: options.messages,
-            temperature: options.temperature || 0.7,
+            ...otherOptions,
+            model,
+            messages,
+            temperature,
             stream: true,
-            ...streamOptions,
+            ...(this.streamUsage && { stream_options: { include_usage: true } }),
         };
 
+        const idleTimeout = createIdleTimeout(this.timeout);
+
         try {
             const response = await fetch(url, {
                 method: 'POST',
                 headers: this.getHeaders(),
                 body: JSON.stringify(data),
-                signal: AbortSignal.timeout(this.timeout),
+                signal: idleTimeout.signal,
             });
 
             if (!response.ok) {
@@ -604,37 +853,141 @@ export class OpenAIClient {
                 throw new Error(`流式请求失败: HTTP ${response.status} - ${errorText}`);
             }
 
-            const reader = response.body.getReader();
-            const decoder = new TextDecoder();
+            for await (const line of readStreamLines(response, idleTimeout.reset)) {
+                if (!line.startsWith('data:')) continue;
 
-            try {
-                while (true) {
-                    const { done, value } = await reader.read();
-                    if (done) break;
-
-                    const chunk = decoder.decode(value);
-                    const lines = chunk.split('\n').filter(line => line.trim());
-
-                    for (const line of lines) {
-                        if (line.startsWith('data: ')) {
-                            const data = line.slice(6);
-                            if (data === '[DONE]') return;
-
-                            try {
-                                const parsed = JSON.parse(data);
-                                yield parsed;
-                            } catch (e) {
-                                console.warn('解析流数据失败:', e);
-                            }
-                        }
-                    }
+                const payload = line.slice(5).trim();
+                if (payload === '[DONE]') return;
+
+                try {
+                    yield JSON.parse(payload);
+                } catch (e) {
+                    console.warn('解析流数据失败:', e);
                 }
-            } finally {
-                reader.releaseLock();
             }
         } catch (error) {
             console.error('流式请求失败:', error);
             throw error;
+        } finally {
+            idleTimeout.clear();
+        }
+    }
+
+    /**
+     * 语音转文字 API
+     * 兼容 OpenAI Audio Transcriptions API
+     * @param {object} options file: 音频 Blob, filename: 文件名, model, language, prompt
+     * @returns {Promise<{text: string}>}
+     */
+    async createTranscription(options = {}) {
+        const { file, filename = 'audio.mp3', model = this.defaultModel, language, prompt } = options;
+
+        if (!file) {
+            throw new Error('file is required');
+        }
+
+        const url = `${this.baseUrl}/v1/audio/transcriptions`;
+        const formData = new FormData();
+        formData.append('file', file, filename);
+        formData.append('model', model);
+        formData.append('response_format', 'json');
+        if (language) formData.append('language', language);
+        if (prompt) formData.append('prompt', prompt);
+
+        // multipart 请求由 fetch 自动生成 Content-Type
+        const { 'Content-Type': _, ...headers } = this.getHeaders();
+
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers,
+                body: formData,
+                signal: AbortSignal.timeout(this.timeout),
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`语音转文字失败: HTTP ${response.status} - ${errorText}`);
+            }
+
+            return await response.json();
+        } catch (error) {
+            console.error('语音转文字失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 文本向量 API
+     * 兼容 OpenAI Embeddings API
+     * @param {object} options input: 文本或文本数组, model, dimensions
+     * @returns {Promise<{data: Array<{index: number, embedding: number[]}>, usage: object}>}
+     */
+    async createEmbeddings(options = {}) {
+        const { input, model = this.defaultModel, dimensions } = options;
+
+        if (!input || (Array.isArray(input) && input.length === 0)) {
+            throw new Error('input is required');
+        }
+
+        const url = `${this.baseUrl}/v1/embeddings`;
+
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: this.getHeaders(),
+                body: JSON.stringify({
+                    model,
+                    input,
+                    ...(dimensions && { dimensions }),
+                }),
+                signal: AbortSignal.timeout(this.timeout),
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`生成文本向量失败: HTTP ${response.status} - ${errorText}`);
+            }
+
+            return await response.json();
+        } catch (error) {
+            console.error('生成文本向量失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 内容审核 API
+     * 兼容 OpenAI Moderations API
+     * @param {object} options input: 文本或文本数组, model
+     * @returns {Promise<{results: Array<{flagged: boolean, categories: object, category_scores: object}>}>}
+     */
+    async createModeration(options = {}) {
+        const { input, model = this.defaultModel } = options;
+
+        if (!input) {
+            throw new Error('input is required');
+        }
+
+        const url = `${this.baseUrl}/v1/moderations`;
+
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: this.getHeaders(),
+                body: JSON.stringify({ model, input }),
+                signal: AbortSignal.timeout(this.timeout),
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`内容审核失败: HTTP ${response.status} - ${errorText}`);
+            }
+
+            return await response.json();
+        } catch (error) {
+            console.error('内容审核失败:', error);
+            throw error;
         }
     }
 
@@ -0,0 +1,266 @@
+/**
+ * 客户指令
+ * 客户发送 /reset、/help、/lang、/human 或“重新开始”等中文别名时直接执行，不发给 AI
+ * 指令可以按客服账号启用，也可以通过 register 注册自定义指令
+ */
+import { HandoffReason } from './handoff.js';
+
+/**
+ * /lang 支持的回复语言
+ */
+export const LANGUAGES = {
+    zh: '简体中文',
+    'zh-tw': '繁體中文',
+    en: 'English',
+    ja: '日本語',
+    ko: '한국어',
+};
+
+/**
+ * 显式指令的前缀，兼容全角斜杠
+ */
+const COMMAND_PREFIX = /^[/／]/;
+
+/**
+ * 客户选择的回复语言，保存在 Cloudflare KV 中
+ */
+export class LanguageStore {
+    /**
+     * @param {KVNamespace} kv KV 存储
+     * @param {object} options expirationTtl: 保存时间（秒）
+     */
+    constructor(kv, options = {}) {
+        this.kv = kv;
+        this.keyPrefix = options.keyPrefix || 'user_language';
+        this.expirationTtl = options.expirationTtl || 30 * 86400;
+    }
+
+    /**
+     * 追加到系统提示词中的语言要求，未选择语言时返回空字符串
+     */
+    static getPromptInstruction(language) {
+        return LANGUAGES[language] ? `请始终使用${LANGUAGES[language]}回复客户。` : '';
+    }
+
+    /**
+     * 生成语言设置的 KV 键
+     */
+    getLanguageKey(externalUserid) {
+        return `${this.keyPrefix}:${externalUserid}`;
+    }
+
+    /**
+     * 获取客户选择的语言，未选择时返回 null
+     */
+    async get(externalUserid) {
+        try {
+            return await this.kv.get(this.getLanguageKey(externalUserid));
+        } catch (error) {
+            console.error('读取回复语言失败:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 保存客户选择的语言，为空时恢复默认
+     */
+    async set(externalUserid, language) {
+        if (!language) {
+            await this.kv.delete(this.getLanguageKey(externalUserid));
+            return;
+        }
+        await this.kv.put(this.getLanguageKey(externalUserid), language, { expirationTtl: this.expirationTtl });
+    }
+}
+
+/**
+ * 解析 /lang 的参数，支持语言代码和名称
+ * @returns {string|null|undefined} 语言代码，null 表示恢复默认，undefined 表示不支持
+ */
+function parseLanguage(arg) {
+    const value = arg.toLowerCase();
+    if (['auto', 'default', '默认', '自动'].includes(value)) {
+        return null;
+    }
+    return Object.entries(LANGUAGES).find(([code, name]) => code === value || name.toLowerCase() === value)?.[0];
+}
+
+/**
+ * 内置指令
+ * handler(args, context) 返回 { reply, afterReply }，afterReply 在回复发送后执行，返回值记录到消息处理记录中，出错时只记录错误信息
+ */
+const BUILTIN_COMMANDS = [
+    {
+        name: 'reset',
+        aliases: ['重新开始', '重置对话', '清空对话'],
+        description: '清空对话记录，重新开始',
+        async handler(args, { externalUserid, conversationManager }) {
+            await conversationManager.clearConversationHistory(externalUserid);
+            return { reply: '对话记录已清空，我们重新开始吧。' };
+        },
+    },
+    {
+        name: 'help',
+        aliases: ['帮助', '指令'],
+        description: '查看可用指令',
+        async handler(args, { registry, openKfid }) {
+            return { reply: registry.getHelp(openKfid) };
+        },
+    },
+    {
+        name: 'lang',
+        aliases: ['切换语言'],
+        usage: '/lang en',
+        description: '切换回复语言',
+        async handler(args, { externalUserid, languageStore }) {
+            const options = Object.entries(LANGUAGES)
+                .map(([code, name]) => `${code}：${name}`)
+                .join('\n');
+
+            if (!args) {
+                const current = LANGUAGES[await languageStore.get(externalUserid)] || '默认';
+                return {
+                    reply: `当前回复语言：${current}\n发送“/lang 语言代码”切换，“/lang auto”恢复默认：\n${options}`,
+                };
+            }
+
+            const language = parseLanguage(args);
+            if (language === undefined) {
+                return { reply: `暂不支持该语言，可选：\n${options}` };
+            }
+
+            await languageStore.set(externalUserid, language);
+            return { reply: language ? `好的，之后将使用${LANGUAGES[language]}回复您。` : '已恢复默认回复语言。' };
+        },
+    },
+    {
+        name: 'human',
+        // “人工客服”“转人工”等说法由转人工关键词（HANDOFF_KEYWORDS）处理，不重复设置别名
+        description: '转接人工客服',
+        async handler(args, { externalUserid, openKfid, handoffManager }) {
+            // 转为人工接待后接口无法再以智能助手身份发消息，需先发送提示
+            return {
+                reply: handoffManager.reply,
+                afterReply: async () => ({
+                    handoff: await handoffManager.handoff(openKfid, externalUserid, HandoffReason.COMMAND),
+                }),
+            };
+        },
+    },
+];
+
+export class CommandRegistry {
+    /**
+     * @param {object} options enabled: 默认启用的指令名称（为空时启用全部）, kfCommands: 按客服账号启用的指令 { open_kfid: [指令名称] }
+     */
+    constructor(options = {}) {
+        this.commands = new Map();
+        this.enabled = options.enabled || null;
+        this.kfCommands = options.kfCommands || {};
+    }
+
+    /**
+     * 从环境变量创建实例并注册内置指令
+     * COMMANDS 为默认启用的指令（逗号分隔，none 为全部关闭），人设中的 commands 字段覆盖该客服账号的设置
+     * @param {object} persona 当前客服账号的人设
+     */
+    static fromEnv(env, persona = null) {
+        let enabled = null;
+        if (env.COMMANDS) {
+            enabled = env.COMMANDS === 'none' ? [] : env.COMMANDS.split(',').map(name => name.trim());
+        }
+
+        const registry = new CommandRegistry({
+            enabled,
+            kfCommands: persona?.openKfid && persona.commands ? { [persona.openKfid]: persona.commands } : {},
+        });
+        for (const command of BUILTIN_COMMANDS) {
+            registry.register(command);
+        }
+        return registry;
+    }
+
+    /**
+     * 注册指令，同名指令只保留最后注册的
+     * @param {object} command name: 指令名称, aliases: 中文别名, description: 说明, usage: 用法示例, handler(args, context)
+     */
+    register(command) {
+        this.commands.set(command.name.toLowerCase(), { aliases: [], ...command });
+        return this;
+    }
+
+    /**
+     * 指令在该客服账号是否启用
+     */
+    isEnabled(name, openKfid) {
+        const enabled = this.kfCommands[openKfid] || this.enabled;
+        return !enabled || enabled.includes(name);
+    }
+
+    /**
+     * 该客服账号启用的指令
+     */
+    getEnabledCommands(openKfid) {
+        return [...this.commands.values()].filter(command => this.isEnabled(command.name, openKfid));
+    }
+
+    /**
+     * 解析消息中的指令
+     * 以 / 开头时按指令名称匹配，否则只有整条消息（可带参数）以中文别名开头时才视为指令
+     * @returns {object|null} { name, command, args, explicit }，command 为空表示未知或未启用的 / 指令
+     */
+    parse(text, openKfid) {
+        const trimmed = (text || '').trim();
+        const explicit = COMMAND_PREFIX.test(trimmed);
+        const [token = '', ...rest] = trimmed.replace(COMMAND_PREFIX, '').split(/\s+/);
+        const args = rest.join(' ');
+        const keyword = token.replace(/[。！？!?.，,]+$/, '');
+
+        if (explicit) {
+            if (!/^[a-z][\w-]*$/i.test(keyword)) {
+                return null;
+            }
+            const command = this.commands.get(keyword.toLowerCase());
+            const enabled = command && this.isEnabled(command.name, openKfid);
+            return { name: keyword.toLowerCase(), command: enabled ? command : null, args, explicit };
+        }
+
+        const command = this.getEnabledCommands(openKfid).find(item => item.aliases.includes(keyword));
+        return command ? { name: command.name, command, args, explicit } : null;
+    }
+
+    /**
+     * 可用指令说明
+     */
+    getHelp(openKfid) {
+        const lines = this.getEnabledCommands(openKfid).map(command => {
+            const aliases = command.aliases.length > 0 ? `（${command.aliases.join('、')}）` : '';
+            return `${command.usage || `/${command.name}`}${aliases}：${command.description}`;
+        });
+        return lines.length > 0 ? `可用指令：\n${lines.join('\n')}` : '暂无可用指令。';
+    }
+
+    /**
+     * 执行消息中的指令
+     * 未知或未启用的 / 指令回复提示，同样不发给 AI
+     * @param {object} context externalUserid, openKfid, conversationManager, handoffManager, languageStore 等
+     * @returns {Promise<object|null>} { name, reply, afterReply }，不是指令时返回 null
+     */
+    async execute(text, context) {
+        const parsed = this.parse(text, context.openKfid);
+        if (!parsed) {
+            return null;
+        }
+
+        if (!parsed.command) {
+            const hint =
+                this.commands.has('help') && this.isEnabled('help', context.openKfid)
+                    ? '，发送 /help 查看可用指令'
+                    : '';
+            return { name: parsed.name, reply: `未知指令 /${parsed.name}${hint}。` };
+        }
+
+        const result = await parsed.command.handler(parsed.args, { ...context, registry: this });
+        return { name: parsed.command.name, ...result };
+    }
+}
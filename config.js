@@ -1,48 +1,247 @@
 /**
- * OpenAI 服务配置管理
+ * AI 服务配置管理
  */
 
 /**
- * OpenAI 服务配置
+ * 支持的 AI 服务，通过 AI_PROVIDER 选择，env 为各配置项对应的环境变量
  */
-export const AI_SERVICE = {
-  name: 'OpenAI',
-  baseUrl: 'https://api.openai.com',
-  defaultModel: 'gpt-3.5-turbo',
-  requiresApiKey: true,
-  description: 'OpenAI 官方 API 服务'
+export const AI_SERVICES = {
+  openai: {
+    name: 'OpenAI',
+    baseUrl: 'https://api.openai.com',
+    defaultModel: 'gpt-3.5-turbo',
+    requiresApiKey: true,
+    description: 'OpenAI 官方 API 服务及兼容服务',
+    env: { apiKey: 'OPENAI_API_KEY', baseUrl: 'OPENAI_BASE_URL', model: 'OPENAI_MODEL' }
+  },
+  azure: {
+    name: 'Azure OpenAI',
+    baseUrl: null,
+    defaultModel: null,
+    defaultApiVersion: '2024-06-01',
+    requiresApiKey: true,
+    description: 'Azure OpenAI 服务，模型为部署名',
+    env: {
+      apiKey: 'AZURE_OPENAI_API_KEY',
+      baseUrl: 'AZURE_OPENAI_ENDPOINT',
+      model: 'AZURE_OPENAI_DEPLOYMENT',
+      apiVersion: 'AZURE_OPENAI_API_VERSION'
+    }
+  },
+  anthropic: {
+    name: 'Anthropic',
+    baseUrl: 'https://api.anthropic.com',
+    defaultModel: 'claude-3-5-haiku-latest',
+    defaultApiVersion: '2023-06-01',
+    requiresApiKey: true,
+    description: 'Anthropic Messages API',
+    env: {
+      apiKey: 'ANTHROPIC_API_KEY',
+      baseUrl: 'ANTHROPIC_BASE_URL',
+      model: 'ANTHROPIC_MODEL',
+      apiVersion: 'ANTHROPIC_VERSION'
+    }
+  },
+  gemini: {
+    name: 'Google Gemini',
+    baseUrl: 'https://generativelanguage.googleapis.com',
+    defaultModel: 'gemini-1.5-flash',
+    defaultApiVersion: 'v1beta',
+    requiresApiKey: true,
+    description: 'Google Gemini generateContent API',
+    env: {
+      apiKey: 'GEMINI_API_KEY',
+      baseUrl: 'GEMINI_BASE_URL',
+      model: 'GEMINI_MODEL',
+      apiVersion: 'GEMINI_API_VERSION'
+    }
+  },
+  ollama: {
+    name: 'Ollama',
+    baseUrl: 'http://localhost:11434',
+    defaultModel: 'llama3.1',
+    requiresApiKey: false,
+    description: 'Ollama 本地模型服务',
+    env: { apiKey: 'OLLAMA_API_KEY', baseUrl: 'OLLAMA_BASE_URL', model: 'OLLAMA_MODEL' }
+  }
 };
 
 /**
- * 从环境变量获取 OpenAI 配置
+ * OpenAI 服务配置
  */
-export function getAIConfig(env) {
-  if (!env.OPENAI_API_KEY) {
-    throw new Error('未找到 OPENAI_API_KEY，请检查环境变量');
+export const AI_SERVICE = AI_SERVICES.openai;
+
+/**
+ * 获取单个 AI 服务的连接配置
+ * @param {string} serviceName AI_SERVICES 中的服务名称
+ * @param {string} model 指定模型，为空时使用该服务的模型环境变量或默认模型
+ */
+function getProviderConfig(env, serviceName, model = null) {
+  const service = AI_SERVICES[serviceName];
+  if (!service) {
+    throw new Error(`不支持的 AI 服务: ${serviceName}，可选值: ${Object.keys(AI_SERVICES).join(', ')}`);
   }
 
+  const apiKey = env[service.env.apiKey];
+  if (service.requiresApiKey && !apiKey) {
+    throw new Error(`未找到 ${service.env.apiKey}，请检查环境变量`);
+  }
+
+  const timeout = env.AI_TIMEOUT || env.OPENAI_TIMEOUT;
+
   return {
-    apiKey: env.OPENAI_API_KEY,
-    baseUrl: env.OPENAI_BASE_URL || AI_SERVICE.baseUrl,
-    model: env.OPENAI_MODEL || AI_SERVICE.defaultModel,
-    timeout: env.OPENAI_TIMEOUT ? parseInt(env.OPENAI_TIMEOUT) : 30000,
+    apiKey,
+    baseUrl: env[service.env.baseUrl] || service.baseUrl,
+    model: model || env[service.env.model] || service.defaultModel,
+    apiVersion: (service.env.apiVersion && env[service.env.apiVersion]) || service.defaultApiVersion,
+    maxTokens: env.AI_MAX_TOKENS ? parseInt(env.AI_MAX_TOKENS) : undefined,
+    timeout: timeout ? parseInt(timeout) : 30000,
+    streamUsage: env.AI_STREAM_USAGE !== 'false',
     organization: env.OPENAI_ORGANIZATION,
     project: env.OPENAI_PROJECT,
-    serviceName: 'openai',
-    serviceInfo: AI_SERVICE
+    serviceName,
+    serviceInfo: service
+  };
+}
+
+/**
+ * 解析 AI_FALLBACKS 备用服务列表
+ * 格式为逗号分隔的 provider 或 provider:model，如 "openai:gpt-4o-mini,anthropic,ollama:qwen2.5"
+ * 缺少密钥等配置不完整的服务会被忽略
+ */
+function getFallbackConfigs(env) {
+  if (!env.AI_FALLBACKS) {
+    return [];
+  }
+
+  return env.AI_FALLBACKS.split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separatorIndex = entry.indexOf(':');
+      const serviceName = (separatorIndex === -1 ? entry : entry.slice(0, separatorIndex)).toLowerCase();
+      const model = separatorIndex === -1 ? null : entry.slice(separatorIndex + 1);
+
+      try {
+        return getProviderConfig(env, serviceName, model);
+      } catch (error) {
+        console.warn(`忽略备用 AI 服务 ${entry}: ${error.message}`);
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * 从环境变量获取 AI 服务配置
+ * AI_PROVIDER 可选 openai（默认）、azure、anthropic、gemini、ollama
+ */
+export function getAIConfig(env) {
+  const serviceName = (env.AI_PROVIDER || 'openai').toLowerCase();
+  if (!AI_SERVICES[serviceName]) {
+    throw new Error(`不支持的 AI_PROVIDER: ${env.AI_PROVIDER}，可选值: ${Object.keys(AI_SERVICES).join(', ')}`);
+  }
+
+  const config = getProviderConfig(env, serviceName);
+
+  return {
+    ...config,
+    // 支持图片理解的模型：优先使用 OPENAI_VISION_MODEL，OPENAI_VISION=true 表示主模型本身支持
+    visionModel: env.OPENAI_VISION_MODEL || (env.OPENAI_VISION === 'true' ? config.model : null),
+    // 流式回复：按句子或段落分多条消息发送，streamMaxMessages 为单条用户消息最多回复的条数
+    stream: env.OPENAI_STREAM === 'true',
+    streamMaxMessages: env.OPENAI_STREAM_MAX_MESSAGES ? parseInt(env.OPENAI_STREAM_MAX_MESSAGES) : 5,
+    streamMinLength: env.OPENAI_STREAM_MIN_LENGTH ? parseInt(env.OPENAI_STREAM_MIN_LENGTH) : 30,
+    // 对话历史的 token 预算：contextWindow 为空时按模型名称确定，maxHistoryTokens 为空时不额外限制
+    contextWindow: env.AI_CONTEXT_WINDOW ? parseInt(env.AI_CONTEXT_WINDOW) : null,
+    maxHistoryTokens: env.AI_HISTORY_MAX_TOKENS ? parseInt(env.AI_HISTORY_MAX_TOKENS) : null,
+    // 对话摘要：AI_SUMMARY=true 时，截断的历史由 summary.model（默认为主模型）合并为不超过 maxLength 字的摘要
+    // 历史超出上限时一次移除并摘要约 retainRatio 以外的消息
+    summary: {
+      enabled: env.AI_SUMMARY === 'true',
+      retainRatio: env.AI_SUMMARY_RETAIN_RATIO ? parseFloat(env.AI_SUMMARY_RETAIN_RATIO) : 0.5,
+      model: env.AI_SUMMARY_MODEL || config.model,
+      maxLength: env.AI_SUMMARY_MAX_LENGTH ? parseInt(env.AI_SUMMARY_MAX_LENGTH) : 500
+    },
+    // 主服务失败时按顺序尝试的备用服务
+    fallbacks: getFallbackConfigs(env),
+    // 熔断：连续失败 failureThreshold 次后 cooldown 秒内跳过该服务
+    circuitBreaker: {
+      failureThreshold: env.AI_CIRCUIT_FAILURE_THRESHOLD ? parseInt(env.AI_CIRCUIT_FAILURE_THRESHOLD) : 3,
+      cooldown: env.AI_CIRCUIT_COOLDOWN ? parseInt(env.AI_CIRCUIT_COOLDOWN) : 60
+    }
+  };
+}
+
+/**
+ * 从环境变量获取语音转文字配置
+ * 未单独配置时复用 OpenAI 的 API Key 和地址
+ */
+export function getTranscriptionConfig(env) {
+  const apiKey = env.TRANSCRIPTION_API_KEY || env.OPENAI_API_KEY;
+  if (!apiKey) {
+    throw new Error('未找到 TRANSCRIPTION_API_KEY 或 OPENAI_API_KEY，请检查环境变量');
+  }
+
+  return {
+    apiKey,
+    baseUrl: env.TRANSCRIPTION_BASE_URL || env.OPENAI_BASE_URL || AI_SERVICE.baseUrl,
+    model: env.TRANSCRIPTION_MODEL || 'whisper-1',
+    language: env.TRANSCRIPTION_LANGUAGE || 'zh',
+    timeout: env.TRANSCRIPTION_TIMEOUT ? parseInt(env.TRANSCRIPTION_TIMEOUT) : 30000,
+    // 微信语音为 AMR 格式，转写服务不支持时通过转换服务转为 targetFormat
+    converterUrl: env.AUDIO_CONVERTER_URL || null,
+    targetFormat: env.AUDIO_CONVERTER_FORMAT || 'mp3'
+  };
+}
+
+/**
+ * 从环境变量获取文本向量配置
+ * 未单独配置时复用 OpenAI 的 API Key 和地址
+ */
+export function getEmbeddingConfig(env) {
+  const apiKey = env.EMBEDDING_API_KEY || env.OPENAI_API_KEY;
+  if (!apiKey) {
+    throw new Error('未找到 EMBEDDING_API_KEY 或 OPENAI_API_KEY，请检查环境变量');
+  }
+
+  return {
+    apiKey,
+    baseUrl: env.EMBEDDING_BASE_URL || env.OPENAI_BASE_URL || AI_SERVICE.baseUrl,
+    model: env.EMBEDDING_MODEL || 'text-embedding-3-small',
+    dimensions: env.EMBEDDING_DIMENSIONS ? parseInt(env.EMBEDDING_DIMENSIONS) : undefined,
+    timeout: env.EMBEDDING_TIMEOUT ? parseInt(env.EMBEDDING_TIMEOUT) : 30000
+  };
+}
+
+/**
+ * 从环境变量获取内容审核接口配置
+ * 未单独配置时复用 OpenAI 的 API Key 和地址
+ */
+export function getModerationConfig(env) {
+  const apiKey = env.MODERATION_API_KEY || env.OPENAI_API_KEY;
+  if (!apiKey) {
+    throw new Error('未找到 MODERATION_API_KEY 或 OPENAI_API_KEY，请检查环境变量');
+  }
+
+  return {
+    apiKey,
+    baseUrl: env.MODERATION_BASE_URL || env.OPENAI_BASE_URL || AI_SERVICE.baseUrl,
+    model: env.MODERATION_MODEL || 'omni-moderation-latest',
+    timeout: env.MODERATION_TIMEOUT ? parseInt(env.MODERATION_TIMEOUT) : 10000
   };
 }
 
 /**
- * 验证 OpenAI 配置
+ * 验证 AI 服务配置
  */
 export function validateAIConfig(config) {
   if (!config) {
-    throw new Error('OpenAI 配置不能为空');
+    throw new Error('AI 服务配置不能为空');
   }
 
-  if (!config.apiKey) {
-    throw new Error('OpenAI API Key 不能为空');
+  if (config.serviceInfo?.requiresApiKey !== false && !config.apiKey) {
+    throw new Error('API Key 不能为空');
   }
 
   if (!config.baseUrl) {
@@ -57,14 +256,18 @@ export function validateAIConfig(config) {
 }
 
 /**
- * 获取 OpenAI 服务状态信息
+ * 获取 AI 服务状态信息
  */
 export function getServiceStatus(config) {
   return {
+    provider: config.serviceName || 'openai',
     service: config.serviceInfo?.name || 'OpenAI',
     baseUrl: config.baseUrl,
     model: config.model,
     hasApiKey: !!config.apiKey,
-    timeout: config.timeout
+    timeout: config.timeout,
+    visionModel: config.visionModel || null,
+    stream: !!config.stream,
+    fallbacks: (config.fallbacks || []).map(fallback => `${fallback.serviceName}:${fallback.model}`)
   };
 }
\ No newline at end of file
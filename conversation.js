@@ -2,6 +2,14 @@
  * 对话历史管理
  * 使用 Cloudflare KV 存储对话历史
  */
+import { estimateMessageTokens, estimateMessagesTokens, estimateTokens, getContextWindow } from './token-counter.js';
+
+/**
+ * 替换提示词模板中的 {{变量}}，未提供的变量替换为空字符串
+ */
+export function renderPrompt(template, variables = {}) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => variables[name] ?? '');
+}
 
 /**
  * 对话历史管理器
@@ -9,9 +17,63 @@
 export class ConversationManager {
     constructor(kv, options = {}) {
         this.kv = kv;
-        this.maxHistoryLength = options.maxHistoryLength || 10;
+        this.maxHistoryLength = options.maxHistoryLength || 50;
         this.expirationTtl = options.expirationTtl || 86400; // 24小时
-        this.systemPrompt = options.systemPrompt || 'you are helpful assistant';
+        // promptVariables 为系统提示词模板变量，如客户昵称、进入会话场景
+        this.systemPrompt = renderPrompt(
+            options.systemPrompt || 'you are helpful assistant',
+            options.promptVariables || {},
+        );
+        this.maxEventLength = options.maxEventLength || 50;
+        // 上下文窗口默认按模型名称确定，replyTokens 为预留给回复的 token 数，maxHistoryTokens 可进一步限制历史长度以控制成本
+        this.contextWindow = options.contextWindow || getContextWindow(options.model);
+        this.replyTokens = options.replyTokens || 1024;
+        this.maxHistoryTokens = options.maxHistoryTokens || Infinity;
+        // 配置 summarizer 时，截断的消息会合并到滚动摘要中
+        // 历史超出上限时一次移除一批消息，只保留上限的 summaryRetainRatio，避免每条新消息都触发一次摘要
+        this.summarizer = options.summarizer || null;
+        this.summaryRetainRatio = options.summaryRetainRatio || 0.5;
+    }
+
+    /**
+     * 对话历史可使用的 token 预算：上下文窗口扣除系统提示词、对话摘要和回复预留
+     * @param {number} reservedTokens 额外预留的 token 数，如对话摘要
+     */
+    getHistoryTokenBudget(reservedTokens = 0) {
+        const available = this.contextWindow - estimateTokens(this.systemPrompt) - reservedTokens - this.replyTokens;
+        return Math.max(Math.min(available, this.maxHistoryTokens), 0);
+    }
+
+    /**
+     * 按条数上限和 token 预算截断对话历史，从最早的消息开始移除，最新一条消息始终保留
+     * @param {object[]} history 包含系统消息的完整历史
+     * @param {number} reservedTokens 额外预留的 token 数
+     * @param {number} ratio 按条数上限和 token 预算的该比例截断
+     * @returns {{history: object[], evicted: object[]}} 截断后的历史及被移除的消息
+     */
+    trimHistory(history, reservedTokens = 0, ratio = 1) {
+        const [systemMessage, ...messages] = history;
+        const budget = this.getHistoryTokenBudget(reservedTokens) * ratio;
+
+        let start = Math.max(messages.length - Math.max(Math.floor(this.maxHistoryLength * ratio), 1), 0);
+        let tokens = 0;
+        for (let index = messages.length - 1; index >= start; index--) {
+            tokens += estimateMessageTokens(messages[index]);
+            if (tokens > budget && index < messages.length - 1) {
+                start = index + 1;
+                break;
+            }
+        }
+
+        // 工具结果必须紧跟在对应的工具调用之后，截断后开头的工具结果一并移除
+        while (start < messages.length - 1 && messages[start].role === 'tool') {
+            start++;
+        }
+
+        return {
+            history: [systemMessage, ...messages.slice(start)],
+            evicted: messages.slice(0, start),
+        };
     }
 
     /**
@@ -21,6 +83,70 @@ export class ConversationManager {
         return `conversation:${userId}`;
     }
 
+    /**
+     * 生成会话事件的 KV 键
+     */
+    getEventsKey(userId) {
+        return `conversation_events:${userId}`;
+    }
+
+    /**
+     * 生成对话摘要的 KV 键
+     */
+    getSummaryKey(userId) {
+        return `conversation_summary:${userId}`;
+    }
+
+    /**
+     * 获取用户的对话摘要 { content, summarizedMessages, updatedAt }，没有摘要时返回 null
+     */
+    async getSummary(userId) {
+        try {
+            const summaryJson = await this.kv.get(this.getSummaryKey(userId));
+            return summaryJson ? JSON.parse(summaryJson) : null;
+        } catch (error) {
+            console.error('获取对话摘要失败:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 将被截断的消息合并到对话摘要，摘要失败时保留原摘要
+     * @returns {Promise<object|null>} 更新后的摘要
+     */
+    async updateSummary(userId, summary, evictedMessages) {
+        try {
+            const content = await this.summarizer.summarize(summary?.content, evictedMessages);
+            const updatedSummary = {
+                content,
+                summarizedMessages: (summary?.summarizedMessages || 0) + evictedMessages.length,
+                updatedAt: Date.now(),
+            };
+
+            await this.kv.put(this.getSummaryKey(userId), JSON.stringify(updatedSummary), {
+                expirationTtl: this.expirationTtl,
+            });
+
+            return updatedSummary;
+        } catch (error) {
+            console.error('更新对话摘要失败:', error);
+            return summary;
+        }
+    }
+
+    /**
+     * 清除用户的对话摘要
+     */
+    async clearSummary(userId) {
+        try {
+            await this.kv.delete(this.getSummaryKey(userId));
+            console.log(`对话摘要已清除，用户: ${userId}`);
+        } catch (error) {
+            console.error('清除对话摘要失败:', error);
+            throw error;
+        }
+    }
+
     /**
      * 获取用户的对话历史
      */
@@ -64,14 +190,19 @@ export class ConversationManager {
         try {
             const key = this.getConversationKey(userId);
 
-            // 限制历史记录长度，保留系统消息 + 最近的对话
-            let trimmedHistory = [...history];
-            if (trimmedHistory.length > this.maxHistoryLength + 1) {
-                // +1 for system message
-                trimmedHistory = [
-                    trimmedHistory[0], // 保留系统消息
-                    ...trimmedHistory.slice(-this.maxHistoryLength),
-                ];
+            // 限制历史记录长度，保留系统消息 + 上下文窗口能容纳的最近对话，摘要占用的 token 一并扣除
+            const summary = this.summarizer ? await this.getSummary(userId) : null;
+            const reservedTokens = estimateTokens(summary?.content);
+            let { history: trimmedHistory, evicted } = this.trimHistory(history, reservedTokens);
+
+            // 超出上限时按比例多移除一批消息，合并到摘要后要再积累一批消息才会再次摘要
+            if (this.summarizer && evicted.length > 0) {
+                ({ history: trimmedHistory, evicted } = this.trimHistory(
+                    history,
+                    reservedTokens,
+                    this.summaryRetainRatio,
+                ));
+                await this.updateSummary(userId, summary, evicted);
             }
 
             const historyJson = JSON.stringify(trimmedHistory);
@@ -104,9 +235,13 @@ export class ConversationManager {
 
     /**
      * 添加助手回复到对话历史
+     * @param {object[]} toolMessages 回复前的工具调用及结果消息，保存后追问时模型仍能看到查询结果
      */
-    async addAssistantMessage(userId, content) {
+    async addAssistantMessage(userId, content, toolMessages = []) {
         const history = await this.getConversationHistory(userId);
+        for (const toolMessage of toolMessages) {
+            history.push({ ...toolMessage, timestamp: Date.now() });
+        }
         history.push({
             role: 'assistant',
             content: content,
@@ -116,6 +251,36 @@ export class ConversationManager {
         return await this.saveConversationHistory(userId, history);
     }
 
+    /**
+     * 记录会话事件（进入会话、会话状态变更、撤回等）
+     */
+    async recordEvent(userId, event) {
+        try {
+            const events = await this.getEvents(userId);
+            events.push({ ...event, timestamp: Date.now() });
+
+            await this.kv.put(this.getEventsKey(userId), JSON.stringify(events.slice(-this.maxEventLength)), {
+                expirationTtl: this.expirationTtl,
+            });
+        } catch (error) {
+            console.error('记录会话事件失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 获取用户的会话事件
+     */
+    async getEvents(userId) {
+        try {
+            const eventsJson = await this.kv.get(this.getEventsKey(userId));
+            return eventsJson ? JSON.parse(eventsJson) : [];
+        } catch (error) {
+            console.error('获取会话事件失败:', error);
+            return [];
+        }
+    }
+
     /**
      * 清除用户的对话历史
      */
@@ -123,6 +288,8 @@ export class ConversationManager {
         try {
             const key = this.getConversationKey(userId);
             await this.kv.delete(key);
+            await this.kv.delete(this.getEventsKey(userId));
+            await this.kv.delete(this.getSummaryKey(userId));
             console.log(`对话历史已清除，用户: ${userId}`);
         } catch (error) {
             console.error('清除对话历史失败:', error);
@@ -136,14 +303,16 @@ export class ConversationManager {
     async getConversationStats(userId) {
         try {
             const history = await this.getConversationHistory(userId);
+            const summary = await this.getSummary(userId);
             const userMessages = history.filter(msg => msg.role === 'user');
-            const assistantMessages = history.filter(msg => msg.role === 'assistant');
+            const assistantMessages = history.filter(msg => msg.role === 'assistant' && !msg.tool_calls);
 
             return {
                 totalMessages: history.length - 1, // 排除系统消息
                 userMessages: userMessages.length,
                 assistantMessages: assistantMessages.length,
                 lastActivity: history.length > 1 ? history[history.length - 1].timestamp : null,
+                summary,
             };
         } catch (error) {
             console.error('获取对话统计失败:', error);
@@ -152,6 +321,7 @@ export class ConversationManager {
                 userMessages: 0,
                 assistantMessages: 0,
                 lastActivity: null,
+                summary: null,
             };
         }
     }
@@ -173,8 +343,11 @@ export class ConversationManager {
     /**
      * 处理完整的对话流程
      * 添加用户消息 -> 获取历史 -> 返回用于AI的消息列表
+     * @param {string} userId 用户ID
+     * @param {string} userMessage 写入历史的文本（图片等消息为占位文本）
+     * @param {string|Array} aiContent 本轮发给AI的内容，如包含 image_url 的多模态内容，默认与 userMessage 相同
      */
-    async processUserMessage(userId, userMessage) {
+    async processUserMessage(userId, userMessage, aiContent = null) {
         try {
             // 添加用户消息
             const updatedHistory = await this.addUserMessage(userId, userMessage);
@@ -183,8 +356,24 @@ export class ConversationManager {
             const aiMessages = updatedHistory.map(msg => ({
                 role: msg.role,
                 content: msg.content,
+                ...(msg.tool_calls && { tool_calls: msg.tool_calls }),
+                ...(msg.tool_call_id && { tool_call_id: msg.tool_call_id }),
             }));
 
+            // 多模态内容只用于本轮请求，不写入历史
+            if (aiContent !== null) {
+                aiMessages[aiMessages.length - 1].content = aiContent;
+            }
+
+            // 已截断对话的摘要放在系统提示词之后
+            const summary = await this.getSummary(userId);
+            if (summary) {
+                aiMessages.splice(1, 0, {
+                    role: 'system',
+                    content: `以下是与该客户之前对话的摘要：\n${summary.content}`,
+                });
+            }
+
             return {
                 history: updatedHistory,
                 aiMessages: aiMessages,
@@ -195,12 +384,35 @@ export class ConversationManager {
         }
     }
 
+    /**
+     * 将本轮的参考资料追加到系统提示词，并截断较早的对话，使请求仍在上下文预算内
+     * 只影响本轮请求，保存的对话历史不变
+     * @param {object[]} aiMessages processUserMessage 返回的消息列表
+     * @param {string} context 参考资料，如知识库检索结果
+     * @returns {object[]} 新的消息列表
+     */
+    addRequestContext(aiMessages, context) {
+        const [systemMessage, ...rest] = aiMessages;
+        // 系统提示词之后的对话摘要与参考资料一起计入预留
+        const summaryMessages = rest.filter(message => message.role === 'system');
+        const messages = rest.filter(message => message.role !== 'system');
+        const reservedTokens = estimateTokens(context) + estimateMessagesTokens(summaryMessages);
+        const { history } = this.trimHistory([systemMessage, ...messages], reservedTokens);
+
+        return [
+            { ...systemMessage, content: `${systemMessage.content}\n\n${context}` },
+            ...summaryMessages,
+            ...history.slice(1),
+        ];
+    }
+
     /**
      * 完成AI回复后的处理
+     * @param {object[]} toolMessages 本轮的工具调用及结果消息
      */
-    async completeAssistantReply(userId, assistantMessage) {
+    async completeAssistantReply(userId, assistantMessage, toolMessages = []) {
         try {
-            return await this.addAssistantMessage(userId, assistantMessage);
+            return await this.addAssistantMessage(userId, assistantMessage, toolMessages);
         } catch (error) {
             console.error('完成助手回复失败:', error);
             throw error;
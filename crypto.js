@@ -1,96 +1,271 @@
 import { XMLParser } from 'fast-xml-parser';
 
 /**
- * 微信企业号消息加解密类
- * 使用 Web Crypto API 实现
+ * 微信企业号消息加解密
+ * 使用 Web Crypto API 在 Worker 内完成 AES-256-CBC 加解密与 SHA1 签名，
+ * 远程加密服务仅在配置 CRYPTO_SERVICE_URL 时作为回退使用
  */
 
-const CRYPTO_SERVICE_URL = 'https://wecom-crypto.deno.dev';
-
-// 解密
-async function decrypt(token, encodingAESKey, corpId, encrypt) {
-    const response = await fetch(CRYPTO_SERVICE_URL, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-            action: 'decrypt',
-            token,
-            encodingAESKey,
-            corpId,
-            encrypt,
-        }),
-    });
-
-    if (!response.ok) {
-        throw new Error(`Crypto service error: ${response.status}`);
+/**
+ * 加解密错误码（与官方 WXBizMsgCrypt 保持一致）
+ */
+export const CryptoErrorCode = {
+    OK: 0,
+    VALIDATE_SIGNATURE_ERROR: -40001,
+    PARSE_XML_ERROR: -40002,
+    COMPUTE_SIGNATURE_ERROR: -40003,
+    ILLEGAL_AES_KEY: -40004,
+    VALIDATE_CORPID_ERROR: -40005,
+    ENCRYPT_AES_ERROR: -40006,
+    DECRYPT_AES_ERROR: -40007,
+    ILLEGAL_BUFFER: -40008,
+};
+
+/**
+ * 加解密异常，携带官方错误码
+ */
+export class WeComCryptoError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'WeComCryptoError';
+        this.code = code;
     }
+}
+
+// 官方要求的 PKCS#7 补位块大小为 32 字节，而 Web Crypto 固定按 16 字节补位
+const WECOM_BLOCK_SIZE = 32;
+const AES_BLOCK_SIZE = 16;
 
-    const result = await response.json();
-    if (!result.success) {
-        throw new Error(`Crypto operation failed: ${result.error}`);
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
     }
+    return bytes;
+}
 
-    return result.data;
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
 }
 
-// 加密
-async function encrypt(token, encodingAESKey, corpId, message) {
-    const response = await fetch(CRYPTO_SERVICE_URL, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-            action: 'encrypt',
-            token,
-            encodingAESKey,
-            corpId,
-            message,
-        }),
-    });
-
-    if (!response.ok) {
-        throw new Error(`Crypto service error: ${response.status}`);
+function concatBytes(...parts) {
+    const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        result.set(part, offset);
+        offset += part.length;
     }
+    return result;
+}
 
-    const result = await response.json();
-    if (!result.success) {
-        throw new Error(`Crypto operation failed: ${result.error}`);
+/**
+ * 解析 EncodingAESKey，得到 32 字节 AES 密钥，IV 取密钥前 16 字节
+ */
+function parseAESKey(encodingAESKey) {
+    if (!encodingAESKey || encodingAESKey.length !== 43) {
+        throw new WeComCryptoError('EncodingAESKey 长度必须为43位', CryptoErrorCode.ILLEGAL_AES_KEY);
     }
 
-    return result.data;
+    let key;
+    try {
+        key = base64ToBytes(`${encodingAESKey}=`);
+    } catch {
+        throw new WeComCryptoError('EncodingAESKey 不是合法的 Base64', CryptoErrorCode.ILLEGAL_AES_KEY);
+    }
+
+    if (key.length !== 32) {
+        throw new WeComCryptoError('EncodingAESKey 解码后长度不是32字节', CryptoErrorCode.ILLEGAL_AES_KEY);
+    }
+
+    return { key, iv: key.slice(0, AES_BLOCK_SIZE) };
+}
+
+/**
+ * 按 32 字节块补位
+ */
+function pkcs7Pad(bytes) {
+    const amount = WECOM_BLOCK_SIZE - (bytes.length % WECOM_BLOCK_SIZE);
+    return concatBytes(bytes, new Uint8Array(amount).fill(amount));
 }
 
-// 获取签名
-async function getSignature(token, timestamp, nonce, echostr) {
-    const response = await fetch(CRYPTO_SERVICE_URL, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-            action: 'getSignature',
-            token,
-            timestamp,
-            nonce,
-            echostr,
-        }),
-    });
-
-    if (!response.ok) {
-        throw new Error(`Crypto service error: ${response.status}`);
+/**
+ * 去除 32 字节块补位
+ */
+function pkcs7Unpad(bytes) {
+    const amount = bytes[bytes.length - 1];
+    if (amount < 1 || amount > WECOM_BLOCK_SIZE || amount > bytes.length) {
+        throw new WeComCryptoError('解密后补位数据不合法', CryptoErrorCode.ILLEGAL_BUFFER);
+    }
+    return bytes.subarray(0, bytes.length - amount);
+}
+
+/**
+ * 原生加解密实现
+ */
+export class NativeCrypto {
+    constructor(encodingAESKey) {
+        const { key, iv } = parseAESKey(encodingAESKey);
+        this.iv = iv;
+        this.keyPromise = crypto.subtle.importKey('raw', key, { name: 'AES-CBC' }, false, ['encrypt', 'decrypt']);
     }
 
-    const result = await response.json();
-    if (!result.success) {
-        throw new Error(`Crypto operation failed: ${result.error}`);
+    /**
+     * 加密：random(16B) + msg_len(4B, 网络字节序) + msg + receiveid
+     */
+    async encrypt(message, receiveId) {
+        try {
+            const messageBytes = textEncoder.encode(message);
+            const length = new Uint8Array(4);
+            new DataView(length.buffer).setUint32(0, messageBytes.length, false);
+
+            const plain = pkcs7Pad(
+                concatBytes(
+                    crypto.getRandomValues(new Uint8Array(16)),
+                    length,
+                    messageBytes,
+                    textEncoder.encode(receiveId),
+                ),
+            );
+
+            // 数据已按 32 字节补齐，Web Crypto 追加的 16 字节补位块直接丢弃
+            const key = await this.keyPromise;
+            const ciphered = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-CBC', iv: this.iv }, key, plain));
+
+            return bytesToBase64(ciphered.subarray(0, plain.length));
+        } catch (error) {
+            if (error instanceof WeComCryptoError) throw error;
+            throw new WeComCryptoError(`AES加密失败: ${error.message}`, CryptoErrorCode.ENCRYPT_AES_ERROR);
+        }
     }
 
-    return result.data;
+    /**
+     * 解密，返回消息正文及 receiveid
+     */
+    async decrypt(encrypted) {
+        let plain;
+        try {
+            const ciphered = base64ToBytes(encrypted);
+            if (ciphered.length === 0 || ciphered.length % AES_BLOCK_SIZE !== 0) {
+                throw new Error(`密文长度 ${ciphered.length} 不是16的倍数`);
+            }
+
+            // Web Crypto 只接受 16 字节 PKCS#7 补位。以最后一个密文块为 IV 加密一个空块，
+            // 得到一个合法的补位块拼接在末尾，解密后自动去除，原始的 32 字节补位留给 pkcs7Unpad 处理
+            const key = await this.keyPromise;
+            const lastBlock = ciphered.subarray(ciphered.length - AES_BLOCK_SIZE);
+            const paddingBlock = new Uint8Array(
+                await crypto.subtle.encrypt({ name: 'AES-CBC', iv: lastBlock }, key, new Uint8Array(0)),
+            );
+
+            plain = new Uint8Array(
+                await crypto.subtle.decrypt({ name: 'AES-CBC', iv: this.iv }, key, concatBytes(ciphered, paddingBlock)),
+            );
+        } catch (error) {
+            throw new WeComCryptoError(`AES解密失败: ${error.message}`, CryptoErrorCode.DECRYPT_AES_ERROR);
+        }
+
+        const content = pkcs7Unpad(plain);
+        if (content.length < 20) {
+            throw new WeComCryptoError('解密后数据长度不足', CryptoErrorCode.ILLEGAL_BUFFER);
+        }
+
+        const messageLength = new DataView(content.buffer, content.byteOffset + 16, 4).getUint32(0, false);
+        if (20 + messageLength > content.length) {
+            throw new WeComCryptoError('解密后消息长度不合法', CryptoErrorCode.ILLEGAL_BUFFER);
+        }
+
+        return {
+            message: textDecoder.decode(content.subarray(20, 20 + messageLength)),
+            receiveId: textDecoder.decode(content.subarray(20 + messageLength)),
+        };
+    }
 }
 
+/**
+ * 计算消息签名：sha1(sort(token, timestamp, nonce, encrypt).join(''))
+ */
+export async function getSignature(token, timestamp, nonce, encrypt) {
+    try {
+        const raw = [token, timestamp, nonce, encrypt].map(String).sort().join('');
+        const digest = await crypto.subtle.digest('SHA-1', textEncoder.encode(raw));
+        return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    } catch (error) {
+        throw new WeComCryptoError(`计算签名失败: ${error.message}`, CryptoErrorCode.COMPUTE_SIGNATURE_ERROR);
+    }
+}
+
+/**
+ * 远程加密服务客户端（wecom_crypto_deno.ts），仅作为可选回退
+ */
+export class RemoteCrypto {
+    constructor(serviceUrl, token, encodingAESKey, corpId) {
+        this.serviceUrl = serviceUrl;
+        this.token = token;
+        this.encodingAESKey = encodingAESKey;
+        this.corpId = corpId;
+    }
+
+    async call(payload) {
+        const response = await fetch(this.serviceUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                token: this.token,
+                encodingAESKey: this.encodingAESKey,
+                corpId: this.corpId,
+                ...payload,
+            }),
+        });
+
+        if (!response.ok) {
+            throw new Error(`Crypto service error: ${response.status}`);
+        }
+
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(`Crypto operation failed: ${result.error}`);
+        }
+
+        return result.data;
+    }
+
+    async encrypt(message) {
+        return this.call({ action: 'encrypt', message });
+    }
+
+    async decrypt(encrypt) {
+        const { message, id } = await this.call({ action: 'decrypt', encrypt });
+        return { message, receiveId: id };
+    }
+}
+
+/**
+ * 官方文档提供的测试向量
+ * https://developer.work.weixin.qq.com/document/path/90968
+ */
+export const OFFICIAL_TEST_VECTOR = {
+    token: 'QDG6eK',
+    encodingAESKey: 'jWmYm7qr5nMoAUwZRjGtBxmz3KA1tkAj3ykkR6q2B2C',
+    corpId: 'wx5823bf96d3bd56c7',
+    verifyURL: {
+        msgSignature: '5c45ff5e21c57e6ad56bac8758b79b1d9ac89fd3',
+        timestamp: '1409659589',
+        nonce: '263014780',
+        echoStr: 'P9nAzCzyDtyTWESHep1vC5X9xho/qYX3Zpb4yKa9SKld1DsH3Iyt3tP3zNdtp+4RPcs8TgAE7OaBO+FZXvnaqQ==',
+        expected: '1616140317555161061',
+    },
+};
+
 /**
  * XML解析和生成
  */
@@ -131,7 +306,13 @@ export class XMLParse {
  * 微信消息加解密主类
  */
 export class WXBizMsgCrypt {
-    constructor(sToken, sEncodingAESKey, sCorpId) {
+    /**
+     * @param {string} sToken 消息校验 Token
+     * @param {string} sEncodingAESKey 消息加解密 Key
+     * @param {string} sCorpId 企业 CorpID
+     * @param {object} options 可选配置，cryptoServiceUrl 为远程加密服务地址（本地加解密失败时回退）
+     */
+    constructor(sToken, sEncodingAESKey, sCorpId, options = {}) {
         if (!sToken || !sEncodingAESKey || !sCorpId) {
             throw new Error('参数不能为空');
         }
@@ -139,6 +320,52 @@ export class WXBizMsgCrypt {
         this.token = sToken;
         this.encodingAESKey = sEncodingAESKey;
         this.corpId = sCorpId;
+        this.nativeCrypto = new NativeCrypto(sEncodingAESKey);
+        this.remoteCrypto = options.cryptoServiceUrl
+            ? new RemoteCrypto(options.cryptoServiceUrl, sToken, sEncodingAESKey, sCorpId)
+            : null;
+    }
+
+    /**
+     * 从环境变量创建实例
+     */
+    static fromEnv(env) {
+        return new WXBizMsgCrypt(env.WECHAT_KF_TOKEN, env.WECHAT_KF_ENCODING_AES_KEY, env.WECHAT_CORP_ID, {
+            cryptoServiceUrl: env.CRYPTO_SERVICE_URL,
+        });
+    }
+
+    /**
+     * 解密并校验 receiveid
+     */
+    async decryptPayload(encrypt) {
+        let result;
+        try {
+            result = await this.nativeCrypto.decrypt(encrypt);
+        } catch (error) {
+            if (!this.remoteCrypto) throw error;
+            console.warn('本地解密失败，回退到远程加密服务:', error.message);
+            result = await this.remoteCrypto.decrypt(encrypt);
+        }
+
+        if (result.receiveId !== this.corpId) {
+            throw new WeComCryptoError(`receiveid 不匹配: ${result.receiveId}`, CryptoErrorCode.VALIDATE_CORPID_ERROR);
+        }
+
+        return result.message;
+    }
+
+    /**
+     * 加密回复内容
+     */
+    async encryptPayload(message) {
+        try {
+            return await this.nativeCrypto.encrypt(message, this.corpId);
+        } catch (error) {
+            if (!this.remoteCrypto) throw error;
+            console.warn('本地加密失败，回退到远程加密服务:', error.message);
+            return this.remoteCrypto.encrypt(message);
+        }
     }
 
     /**
@@ -146,15 +373,13 @@ export class WXBizMsgCrypt {
      */
     async verifyURL(sMsgSignature, sTimeStamp, sNonce, sEchoStr) {
         try {
-            const { message } = await decrypt(this.token, this.encodingAESKey, this.corpId, sEchoStr);
             const signature = await getSignature(this.token, sTimeStamp, sNonce, sEchoStr);
             if (signature !== sMsgSignature) {
                 console.error('签名验证失败');
                 return {
-                    ret: -40001,
+                    ret: CryptoErrorCode.VALIDATE_SIGNATURE_ERROR,
                     decryptedEchostr: '',
                     details: {
-                        message,
                         signature,
                         sMsgSignature,
                         sTimeStamp,
@@ -164,10 +389,16 @@ export class WXBizMsgCrypt {
                 };
             }
 
-            return { ret: 0, decryptedEchostr: message };
+            const message = await this.decryptPayload(sEchoStr);
+
+            return { ret: CryptoErrorCode.OK, decryptedEchostr: message };
         } catch (error) {
             console.error('验证URL失败:', error);
-            return { ret: -40001, decryptedEchostr: '', details: { error: error.message } };
+            return {
+                ret: error.code || CryptoErrorCode.VALIDATE_SIGNATURE_ERROR,
+                decryptedEchostr: '',
+                details: { error: error.message },
+            };
         }
     }
 
@@ -180,16 +411,16 @@ export class WXBizMsgCrypt {
                 timestamp = Math.floor(Date.now() / 1000).toString();
             }
 
-            const ciphered = await encrypt(this.token, this.encodingAESKey, this.corpId, sReplyMsg);
+            const ciphered = await this.encryptPayload(sReplyMsg);
             const signature = await getSignature(this.token, timestamp, sNonce, ciphered);
 
             const xmlParse = new XMLParse();
             const encryptMsg = xmlParse.generate(ciphered, signature, timestamp, sNonce);
 
-            return { ret: 0, encryptMsg };
+            return { ret: CryptoErrorCode.OK, encryptMsg };
         } catch (error) {
             console.error('加密消息失败:', error);
-            return { ret: -40006, encryptMsg: '' };
+            return { ret: error.code || CryptoErrorCode.ENCRYPT_AES_ERROR, encryptMsg: '' };
         }
     }
 
@@ -209,22 +440,43 @@ export class WXBizMsgCrypt {
 
             if (signature !== sMsgSignature) {
                 return {
-                    ret: -40001,
+                    ret: CryptoErrorCode.VALIDATE_SIGNATURE_ERROR,
                     decryptedXml: null,
                     details: { signature, sMsgSignature, sTimeStamp, sNonce, encrypt },
                 };
             }
 
             // 解密消息
-            const result = await decrypt(this.token, this.encodingAESKey, this.corpId, encrypt);
+            const message = await this.decryptPayload(encrypt);
 
-            return { ret: 0, decryptedXml: result.message };
+            return { ret: CryptoErrorCode.OK, decryptedXml: message };
         } catch (error) {
             console.error('解密消息失败:', error);
-            return { ret: -40007, decryptedXml: null, error: error.message };
+            return { ret: error.code || CryptoErrorCode.DECRYPT_AES_ERROR, decryptedXml: null, error: error.message };
         }
     }
 
+    /**
+     * 使用官方测试向量校验本地实现
+     */
+    static async verifyTestVector() {
+        const { token, encodingAESKey, corpId, verifyURL } = OFFICIAL_TEST_VECTOR;
+        const wxcrypt = new WXBizMsgCrypt(token, encodingAESKey, corpId);
+        const { ret, decryptedEchostr } = await wxcrypt.verifyURL(
+            verifyURL.msgSignature,
+            verifyURL.timestamp,
+            verifyURL.nonce,
+            verifyURL.echoStr,
+        );
+
+        return {
+            passed: ret === CryptoErrorCode.OK && decryptedEchostr === verifyURL.expected,
+            ret,
+            expected: verifyURL.expected,
+            actual: decryptedEchostr,
+        };
+    }
+
     /**
      * 测试加解密功能
      */
@@ -236,6 +488,12 @@ export class WXBizMsgCrypt {
 
             console.log('开始测试加解密功能...');
 
+            // 官方测试向量
+            const vector = await WXBizMsgCrypt.verifyTestVector();
+            if (!vector.passed) {
+                throw new Error(`官方测试向量校验失败，错误码: ${vector.ret}`);
+            }
+
             // 测试加密
             const { ret: encryptRet, encryptMsg } = await this.encryptMsg(testMessage, nonce, timestamp);
             if (encryptRet !== 0) {
@@ -246,7 +504,7 @@ export class WXBizMsgCrypt {
 
             // 模拟签名验证和解密
             const xmlParse = new XMLParse();
-            const parsedXml = xmlParse.parseXML(encryptMsg);
+            const { xml: parsedXml } = xmlParse.parseXML(encryptMsg);
 
             console.log('parsedXml:', parsedXml);
 
@@ -269,6 +527,7 @@ export class WXBizMsgCrypt {
                 message: '加解密测试通过',
                 original: testMessage,
                 decrypted: decryptedXml,
+                testVector: vector,
             };
         } catch (error) {
             console.error('加解密测试失败:', error);
@@ -0,0 +1,166 @@
+/**
+ * 客户资料缓存
+ * 通过 kf/customer/batchget 获取客户昵称、头像、性别等信息，并使用 Cloudflare KV 缓存
+ */
+
+const GENDER_LABELS = {
+    0: '未知',
+    1: '男',
+    2: '女',
+};
+
+export class CustomerProfileStore {
+    /**
+     * @param {KVNamespace} kv KV 存储
+     * @param {WeChatClient} wxClient 微信客户端
+     * @param {object} options expirationTtl: 缓存时间（秒）, failureTtl: 获取失败时的缓存时间（秒）
+     */
+    constructor(kv, wxClient, options = {}) {
+        this.kv = kv;
+        this.wxClient = wxClient;
+        this.expirationTtl = options.expirationTtl || 86400; // 24小时
+        // 获取失败的结果也短暂缓存，避免接口故障时每条消息都重复请求；KV 的最短过期时间为 60 秒
+        this.failureTtl = Math.max(options.failureTtl || 300, 60);
+        this.keyPrefix = options.keyPrefix || 'customer_profile';
+    }
+
+    /**
+     * 生成客户资料的 KV 键
+     */
+    getProfileKey(externalUserid) {
+        return `${this.keyPrefix}:${externalUserid}`;
+    }
+
+    /**
+     * 获取单个客户资料，获取失败时返回 null
+     */
+    async getProfile(externalUserid) {
+        const profiles = await this.getProfiles([externalUserid]);
+        return profiles[externalUserid] || null;
+    }
+
+    /**
+     * 批量获取客户资料，优先读取缓存，未命中的一次性从接口获取
+     * @returns {Promise<Object<string, object>>} 以 external_userid 为键的资料
+     */
+    async getProfiles(externalUserids) {
+        const profiles = {};
+        const missing = [];
+
+        await Promise.all(
+            externalUserids.map(async externalUserid => {
+                try {
+                    const cached = await this.kv.get(this.getProfileKey(externalUserid));
+                    if (cached) {
+                        const profile = JSON.parse(cached);
+                        // 最近获取失败的客户不再重复请求，按没有资料处理
+                        if (!profile.unavailable) {
+                            profiles[externalUserid] = profile;
+                        }
+                    } else {
+                        missing.push(externalUserid);
+                    }
+                } catch (error) {
+                    console.error('读取客户资料缓存失败:', error);
+                    missing.push(externalUserid);
+                }
+            }),
+        );
+
+        if (missing.length === 0) {
+            return profiles;
+        }
+
+        // 接口单次最多查询 100 个客户
+        for (let i = 0; i < missing.length; i += 100) {
+            const batch = missing.slice(i, i + 100);
+
+            try {
+                const result = await this.wxClient.batchGetCustomers(batch);
+
+                for (const customer of result.customer_list || []) {
+                    const profile = normalizeProfile(customer);
+                    profiles[profile.externalUserid] = profile;
+                    await this.kv.put(this.getProfileKey(profile.externalUserid), JSON.stringify(profile), {
+                        expirationTtl: this.expirationTtl,
+                    });
+                }
+            } catch (error) {
+                console.error('获取客户资料失败:', error);
+            }
+
+            // 接口出错或未返回的客户（如 invalid_external_userid_list）记录获取失败
+            await Promise.all(
+                batch
+                    .filter(externalUserid => !profiles[externalUserid])
+                    .map(externalUserid => this.cacheFailure(externalUserid)),
+            );
+        }
+
+        return profiles;
+    }
+
+    /**
+     * 短暂缓存获取失败的结果
+     */
+    async cacheFailure(externalUserid) {
+        try {
+            await this.kv.put(
+                this.getProfileKey(externalUserid),
+                JSON.stringify({ externalUserid, unavailable: true, fetchedAt: Date.now() }),
+                { expirationTtl: this.failureTtl },
+            );
+        } catch (error) {
+            console.error('缓存客户资料失败:', error);
+        }
+    }
+
+    /**
+     * 清除客户资料缓存（如用户重新进入会话，场景信息已变化）
+     */
+    async invalidate(externalUserid) {
+        try {
+            await this.kv.delete(this.getProfileKey(externalUserid));
+        } catch (error) {
+            console.error('清除客户资料缓存失败:', error);
+        }
+    }
+}
+
+/**
+ * 转换接口返回的客户信息
+ */
+function normalizeProfile(customer) {
+    const context = customer.enter_session_context || {};
+
+    return {
+        externalUserid: customer.external_userid,
+        nickname: customer.nickname || '',
+        avatar: customer.avatar || '',
+        gender: customer.gender || 0,
+        unionid: customer.unionid || '',
+        enterSessionContext: {
+            scene: context.scene || '',
+            sceneParam: context.scene_param || '',
+            wechatChannelsNickname: context.wechat_channels?.nickname || '',
+        },
+        fetchedAt: Date.now(),
+    };
+}
+
+/**
+ * 将客户资料转换为系统提示词模板变量
+ * 可在 SYSTEM_PROMPT 中使用 {{nickname}}、{{gender}}、{{scene}}、{{scene_param}}、{{channel_nickname}} 等
+ */
+export function getProfileVariables(profile, externalUserid = '') {
+    return {
+        external_userid: profile?.externalUserid || externalUserid,
+        nickname: profile?.nickname || '',
+        avatar: profile?.avatar || '',
+        gender: GENDER_LABELS[profile?.gender || 0],
+        unionid: profile?.unionid || '',
+        scene: profile?.enterSessionContext?.scene || '',
+        scene_param: profile?.enterSessionContext?.sceneParam || '',
+        channel_nickname: profile?.enterSessionContext?.wechatChannelsNickname || '',
+    };
+}
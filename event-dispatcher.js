@@ -0,0 +1,260 @@
+/**
+ * 微信客服事件处理
+ * 处理 sync_msg 返回的 msgtype=event 消息：进入会话欢迎语、消息发送失败、会话状态变更及撤回
+ */
+
+/**
+ * 事件类型
+ */
+export const KfEventType = {
+    ENTER_SESSION: 'enter_session',
+    MSG_SEND_FAIL: 'msg_send_fail',
+    SERVICER_STATUS_CHANGE: 'servicer_status_change',
+    SESSION_STATUS_CHANGE: 'session_status_change',
+    USER_RECALL_MSG: 'user_recall_msg',
+    SERVICER_RECALL_MSG: 'servicer_recall_msg',
+};
+
+/**
+ * 发送失败后可以重试的 fail_type
+ * 0: 未知原因，其余（会话已结束、超过发送条数限制、用户拒收等）重试也不会成功
+ */
+const RETRYABLE_FAIL_TYPES = [0];
+
+/**
+ * 事件分发器
+ */
+export class EventDispatcher {
+    /**
+     * @param {WeChatClient} wxClient 微信客户端
+     * @param {MessageTracker} messageTracker 消息跟踪器
+     * @param {ConversationManager} conversationManager 对话管理器，用于记录会话事件
+     * @param {object} options welcomeMessage: 欢迎语, welcomeMenu: 欢迎菜单(msgmenu), alertWebhookUrl: 告警地址,
+     *                         customerProfileStore: 客户资料缓存，进入会话时刷新,
+     *                         personaStore: 客服账号人设，账号单独配置了欢迎语时优先使用
+     */
+    constructor(wxClient, messageTracker, conversationManager, options = {}) {
+        this.wxClient = wxClient;
+        this.messageTracker = messageTracker;
+        this.conversationManager = conversationManager;
+        this.welcomeMessage = options.welcomeMessage || null;
+        this.welcomeMenu = options.welcomeMenu || null;
+        this.alertWebhookUrl = options.alertWebhookUrl || null;
+        this.customerProfileStore = options.customerProfileStore || null;
+        this.personaStore = options.personaStore || null;
+        this.handlers = new Map();
+
+        this.on(KfEventType.ENTER_SESSION, event => this.handleEnterSession(event));
+        this.on(KfEventType.MSG_SEND_FAIL, event => this.handleMsgSendFail(event));
+        this.on(KfEventType.SERVICER_STATUS_CHANGE, event => this.handleServicerStatusChange(event));
+        this.on(KfEventType.SESSION_STATUS_CHANGE, event => this.recordConversationEvent(event));
+        this.on(KfEventType.USER_RECALL_MSG, event => this.recordConversationEvent(event));
+        this.on(KfEventType.SERVICER_RECALL_MSG, event => this.recordConversationEvent(event));
+    }
+
+    /**
+     * 从环境变量创建分发器
+     */
+    static fromEnv(
+        env,
+        wxClient,
+        messageTracker,
+        conversationManager,
+        customerProfileStore = null,
+        personaStore = null,
+    ) {
+        let welcomeMenu = null;
+        if (env.WELCOME_MENU) {
+            try {
+                welcomeMenu = JSON.parse(env.WELCOME_MENU);
+            } catch (error) {
+                console.error('WELCOME_MENU 不是合法的 JSON:', error);
+            }
+        }
+
+        return new EventDispatcher(wxClient, messageTracker, conversationManager, {
+            welcomeMessage: env.WELCOME_MESSAGE,
+            welcomeMenu,
+            alertWebhookUrl: env.ALERT_WEBHOOK_URL,
+            customerProfileStore,
+            personaStore,
+        });
+    }
+
+    /**
+     * 注册事件处理函数，同一事件类型只保留最后注册的处理函数
+     */
+    on(eventType, handler) {
+        this.handlers.set(eventType, handler);
+        return this;
+    }
+
+    /**
+     * 分发事件消息并标记为已处理
+     * @param {object} message getUnprocessedMessages 返回的事件消息
+     */
+    async dispatch(message) {
+        const { msgid, event } = message;
+        const eventType = event?.event_type;
+
+        if (await this.messageTracker.isMessageProcessed(msgid)) {
+            console.log(`事件 ${msgid} 已处理，跳过`);
+            return;
+        }
+
+        const handler = this.handlers.get(eventType);
+        if (!handler) {
+            console.log(`未处理的事件类型: ${eventType}`);
+            await this.messageTracker.markMessageAsProcessed(msgid, { msgtype: 'event', eventType, ignored: true });
+            return;
+        }
+
+        try {
+            const result = await handler(event, message);
+            await this.messageTracker.markMessageAsProcessed(msgid, {
+                msgtype: 'event',
+                eventType,
+                externalUserid: event.external_userid,
+                ...(result && { result }),
+                success: true,
+            });
+        } catch (error) {
+            console.error(`处理事件 ${eventType} 失败:`, error);
+            await this.messageTracker.markMessageAsProcessed(msgid, {
+                msgtype: 'event',
+                eventType,
+                externalUserid: event.external_userid,
+                error: error.message,
+                success: false,
+            });
+        }
+    }
+
+    /**
+     * 用户进入会话：使用 welcome_code 发送欢迎语或菜单
+     */
+    async handleEnterSession(event) {
+        await this.recordConversationEvent(event);
+
+        // 进入会话的场景可能已变化，清除客户资料缓存
+        if (this.customerProfileStore && event.external_userid) {
+            await this.customerProfileStore.invalidate(event.external_userid);
+        }
+
+        // 48 小时内已发过欢迎语或未开启欢迎语时不会下发 welcome_code
+        if (!event.welcome_code) {
+            return { welcomeSent: false };
+        }
+
+        // 客服账号单独配置的欢迎语
+        const persona = this.personaStore && event.open_kfid ? await this.personaStore.get(event.open_kfid) : null;
+        if (persona?.welcomeMessage) {
+            await this.wxClient.sendMessageOnEvent(event.welcome_code, 'text', { content: persona.welcomeMessage });
+            return { welcomeSent: true, msgtype: 'text', persona: event.open_kfid };
+        }
+
+        if (this.welcomeMenu) {
+            await this.wxClient.sendMessageOnEvent(event.welcome_code, 'msgmenu', this.welcomeMenu);
+            return { welcomeSent: true, msgtype: 'msgmenu' };
+        }
+
+        if (this.welcomeMessage) {
+            await this.wxClient.sendMessageOnEvent(event.welcome_code, 'text', { content: this.welcomeMessage });
+            return { welcomeSent: true, msgtype: 'text' };
+        }
+
+        return { welcomeSent: false };
+    }
+
+    /**
+     * 消息发送失败：未知原因时重试一次，否则告警
+     */
+    async handleMsgSendFail(event) {
+        const {
+            fail_msgid: failMsgId,
+            fail_type: failType,
+            external_userid: externalUserid,
+            open_kfid: openKfid,
+        } = event;
+        console.error(`消息发送失败: msgid=${failMsgId}, fail_type=${failType}, user=${externalUserid}`);
+
+        const sentMessage = await this.messageTracker.getSentMessage(failMsgId);
+
+        if (sentMessage && !sentMessage.retried && RETRYABLE_FAIL_TYPES.includes(failType)) {
+            try {
+                const result = sentMessage.mediaId
+                    ? await this.wxClient.sendImageMessage(externalUserid, openKfid, sentMessage.mediaId)
+                    : await this.wxClient.sendTextMessage(externalUserid, openKfid, sentMessage.content);
+                await this.messageTracker.recordSentMessage(result.msgid, {
+                    ...sentMessage,
+                    retried: true,
+                    retryOf: failMsgId,
+                });
+                return { retried: true, msgid: result.msgid };
+            } catch (error) {
+                console.error('重试发送消息失败:', error);
+            }
+        }
+
+        await this.sendAlert({
+            type: KfEventType.MSG_SEND_FAIL,
+            failMsgId,
+            failType,
+            externalUserid,
+            openKfid,
+            content: sentMessage?.content,
+            mediaId: sentMessage?.mediaId,
+        });
+
+        return { retried: false };
+    }
+
+    /**
+     * 接待人员状态变更：仅记录日志
+     */
+    async handleServicerStatusChange(event) {
+        console.log(`接待人员 ${event.servicer_userid} 状态变更为 ${event.status}`);
+        return { servicerUserid: event.servicer_userid, status: event.status };
+    }
+
+    /**
+     * 将事件记录到用户会话
+     */
+    async recordConversationEvent(event) {
+        if (!event.external_userid) {
+            return null;
+        }
+
+        await this.conversationManager.recordEvent(event.external_userid, {
+            eventType: event.event_type,
+            openKfid: event.open_kfid,
+            ...(event.scene !== undefined && { scene: event.scene, sceneParam: event.scene_param }),
+            ...(event.change_type !== undefined && { changeType: event.change_type }),
+            ...(event.old_servicer_userid && { oldServicerUserid: event.old_servicer_userid }),
+            ...(event.new_servicer_userid && { newServicerUserid: event.new_servicer_userid }),
+            ...(event.recall_msgid && { recallMsgid: event.recall_msgid }),
+        });
+
+        return { recorded: true };
+    }
+
+    /**
+     * 发送告警到 ALERT_WEBHOOK_URL
+     */
+    async sendAlert(payload) {
+        if (!this.alertWebhookUrl) {
+            return;
+        }
+
+        try {
+            await fetch(this.alertWebhookUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ...payload, timestamp: new Date().toISOString() }),
+                signal: AbortSignal.timeout(10000),
+            });
+        } catch (error) {
+            console.error('发送告警失败:', error);
+        }
+    }
+}
@@ -0,0 +1,155 @@
+/**
+ * 人工客服转接
+ * 根据用户关键词、AI 输出的转接标记或连续失败次数，将会话转给人工接待
+ */
+import { ServiceState } from './clients.js';
+
+/**
+ * 人工接待中的会话状态，此时机器人不再回复
+ */
+const HUMAN_SERVICE_STATES = [ServiceState.QUEUEING, ServiceState.HUMAN];
+
+/**
+ * 转接原因
+ */
+export const HandoffReason = {
+    KEYWORD: 'keyword',
+    AI_MARKER: 'ai_marker',
+    REPEATED_FAILURE: 'repeated_failure',
+    COMMAND: 'command',
+};
+
+export class HandoffManager {
+    /**
+     * @param {WeChatClient} wxClient 微信客户端
+     * @param {KVNamespace} kv 用于记录失败次数
+     * @param {object} options keywords, marker, failureThreshold, servicerUserid, reply
+     */
+    constructor(wxClient, kv, options = {}) {
+        this.wxClient = wxClient;
+        this.kv = kv;
+        this.keywords = options.keywords || ['转人工', '人工客服', '找人工'];
+        this.marker = options.marker === undefined ? '[[HANDOFF]]' : options.marker;
+        this.failureThreshold = options.failureThreshold || 3;
+        this.failureTtl = options.failureTtl || 3600;
+        this.servicerUserid = options.servicerUserid || null;
+        this.reply = options.reply || '正在为您转接人工客服，请稍候。';
+    }
+
+    /**
+     * 从环境变量创建实例
+     */
+    static fromEnv(env, wxClient) {
+        return new HandoffManager(wxClient, env.CONVERSATIONS, {
+            keywords: env.HANDOFF_KEYWORDS
+                ? env.HANDOFF_KEYWORDS.split(',')
+                      .map(keyword => keyword.trim())
+                      .filter(Boolean)
+                : undefined,
+            marker: env.HANDOFF_MARKER === 'false' ? null : env.HANDOFF_MARKER,
+            failureThreshold: env.HANDOFF_FAILURE_THRESHOLD ? parseInt(env.HANDOFF_FAILURE_THRESHOLD) : undefined,
+            servicerUserid: env.HANDOFF_SERVICER_USERID,
+            reply: env.HANDOFF_REPLY,
+        });
+    }
+
+    /**
+     * 生成失败次数的 KV 键
+     */
+    getFailureKey(userId) {
+        return `handoff_failures:${userId}`;
+    }
+
+    /**
+     * 会话是否由人工接待（排队中或人工接待中）
+     * 查询失败时返回 false，由机器人继续回复
+     */
+    async isHumanServing(openKfid, externalUserid) {
+        try {
+            const { service_state: serviceState } = await this.wxClient.getServiceState(openKfid, externalUserid);
+            return HUMAN_SERVICE_STATES.includes(serviceState);
+        } catch (error) {
+            console.error('查询会话状态失败:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 用户消息是否包含转人工关键词
+     */
+    matchKeyword(content) {
+        return !!content && this.keywords.some(keyword => content.includes(keyword));
+    }
+
+    /**
+     * 追加到系统提示词中的转接说明，未启用 AI 转接标记时为空
+     */
+    getPromptInstruction() {
+        if (!this.marker) {
+            return '';
+        }
+        return `如果用户明确需要人工客服，或问题超出你的能力范围，请在回复末尾单独输出 ${this.marker}。`;
+    }
+
+    /**
+     * 检查并去除 AI 回复中的转接标记
+     * @returns {{requested: boolean, reply: string}}
+     */
+    extractMarker(reply) {
+        if (!this.marker || !reply || !reply.includes(this.marker)) {
+            return { requested: false, reply };
+        }
+        return { requested: true, reply: reply.split(this.marker).join('').trim() };
+    }
+
+    /**
+     * 记录一次 AI 处理失败，返回当前连续失败次数
+     */
+    async recordFailure(userId) {
+        try {
+            const key = this.getFailureKey(userId);
+            const count = parseInt((await this.kv.get(key)) || '0') + 1;
+            await this.kv.put(key, String(count), { expirationTtl: this.failureTtl });
+            return count;
+        } catch (error) {
+            console.error('记录失败次数失败:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * 清除失败次数
+     */
+    async resetFailures(userId) {
+        try {
+            await this.kv.delete(this.getFailureKey(userId));
+        } catch (error) {
+            console.error('清除失败次数失败:', error);
+        }
+    }
+
+    /**
+     * 是否达到失败转接阈值
+     */
+    shouldHandoffOnFailure(failureCount) {
+        return failureCount >= this.failureThreshold;
+    }
+
+    /**
+     * 转接人工：配置了接待人员时直接转给该人员，否则进入待接入池排队
+     */
+    async handoff(openKfid, externalUserid, reason) {
+        const serviceState = this.servicerUserid ? ServiceState.HUMAN : ServiceState.QUEUEING;
+        const result = await this.wxClient.transServiceState(
+            openKfid,
+            externalUserid,
+            serviceState,
+            this.servicerUserid,
+        );
+
+        await this.resetFailures(externalUserid);
+        console.log(`用户 ${externalUserid} 已转人工，原因: ${reason}，状态: ${serviceState}`);
+
+        return { serviceState, servicerUserid: this.servicerUserid, reason, msgCode: result.msg_code };
+    }
+}
@@ -2,12 +2,31 @@
  * 微信客服 Cloudflare Worker 版本
  * 处理微信企业客服回调消息并与AI客服集成
  */
-import { OpenAIClient, WeChatClient } from './clients.js';
-import { getAIConfig, getServiceStatus, validateAIConfig } from './config.js';
+import { FallbackChatClient } from './ai-providers.js';
+import { AnswerPageStore } from './answer-page.js';
+import { CircuitBreaker } from './circuit-breaker.js';
+import { CommandRegistry, LanguageStore } from './commands.js';
+import { OpenAIClient, WeChatClient, WeComApiError, arrayBufferToBase64, groupMessagesByUser } from './clients.js';
+import { getAIConfig, getServiceStatus, getTranscriptionConfig, validateAIConfig } from './config.js';
 import { ConversationManager } from './conversation.js';
 import { WXBizMsgCrypt, XMLParse } from './crypto.js';
+import { CustomerProfileStore, getProfileVariables } from './customer-profile.js';
+import { EventDispatcher } from './event-dispatcher.js';
+import { HandoffManager, HandoffReason } from './handoff.js';
+import { KnowledgeBase } from './knowledge-base.js';
 import { MessageTracker } from './message-tracker.js';
+import { ContentModerator, ModerationDirection } from './moderation.js';
+import { DEFAULT_FALLBACK_MESSAGE, PersonaStore } from './persona.js';
+import { ReplyFormatter, ThinkingFilter, stripThinking } from './reply-formatter.js';
+import { ResponseCache } from './response-cache.js';
 import { ApiResponse, BusinessCode, ErrorMessage } from './response.js';
+import { RuleReplyType, RuleStore } from './rules.js';
+import { SentenceChunker, splitText } from './sentence-chunker.js';
+import { ConversationSummarizer } from './summarizer.js';
+import { SyncCursorStore } from './sync-cursor.js';
+import { AccessTokenCache } from './token-cache.js';
+import { ToolRegistry } from './tools.js';
+import { UsageScope, UsageTracker } from './usage.js';
 
 export default {
     async fetch(request, env, ctx) {
@@ -29,7 +48,7 @@ export default {
             }
 
             if (url.pathname === '/conversation_stats' && request.method === 'GET') {
-                return handleConversationStats(env, ctx);
+                return handleConversationStats(request, env, ctx);
             }
 
             if (url.pathname === '/clear_conversation' && request.method === 'POST') {
@@ -52,6 +71,30 @@ export default {
                 return handleUploadMedia(request, env, ctx);
             }
 
+            if (url.pathname === '/usage' && request.method === 'GET') {
+                return handleUsage(request, env, ctx);
+            }
+
+            if (url.pathname === '/personas') {
+                return handlePersonas(request, env, ctx);
+            }
+
+            if (url.pathname === '/response_cache') {
+                return handleResponseCache(request, env, ctx);
+            }
+
+            if (url.pathname === '/rules') {
+                return handleRules(request, env, ctx);
+            }
+
+            if (url.pathname === '/knowledge/documents' || url.pathname === '/knowledge/search') {
+                return handleKnowledge(request, env, ctx);
+            }
+
+            if (url.pathname.startsWith('/answers/') && request.method === 'GET') {
+                return handleAnswerPage(request, env, ctx);
+            }
+
             if (url.pathname === '/callback') {
                 if (request.method === 'GET') {
                     return handleVerifyCallback(request, env, ctx);
@@ -63,6 +106,9 @@ export default {
             return ApiResponse.notFound('API端点未找到');
         } catch (error) {
             console.error('处理请求失败:', error);
+            if (error instanceof WeComApiError) {
+                return weComErrorResponse(error);
+            }
             return ApiResponse.internalError('服务器内部错误', {
                 error: error.message,
                 stack: error.stack,
@@ -71,6 +117,28 @@ export default {
     },
 };
 
+/**
+ * 创建微信客户端，配置了 MESSAGE_TRACKER 时通过 KV 共享 access_token
+ */
+function createWeChatClient(env) {
+    return new WeChatClient(env.WECHAT_CORP_ID, env.WECHAT_KF_SECRET, null, {
+        tokenCache: env.MESSAGE_TRACKER ? new AccessTokenCache(env.MESSAGE_TRACKER) : null,
+    });
+}
+
+/**
+ * 将企业微信接口错误转换为统一的错误响应
+ */
+function weComErrorResponse(error) {
+    return ApiResponse.error(ErrorMessage.WECHAT_API_FAILED, BusinessCode.WECHAT_API_ERROR, 500, {
+        error: error.message,
+        ...(error instanceof WeComApiError && {
+            errcode: error.errcode,
+            errmsg: error.errmsg,
+        }),
+    });
+}
+
 /**
  * 获取微信访问令牌
  */
@@ -82,7 +150,7 @@ async function handleGetAccessToken(env, ctx) {
             });
         }
 
-        const wxClient = new WeChatClient(env.WECHAT_CORP_ID, env.WECHAT_KF_SECRET);
+        const wxClient = createWeChatClient(env);
         const accessToken = await wxClient.getAccessToken();
 
         return ApiResponse.success(
@@ -94,9 +162,7 @@ async function handleGetAccessToken(env, ctx) {
         );
     } catch (error) {
         console.error('获取access_token失败:', error);
-        return ApiResponse.error(ErrorMessage.WECHAT_API_FAILED, BusinessCode.WECHAT_API_ERROR, 500, {
-            error: error.message,
-        });
+        return weComErrorResponse(error);
     }
 }
 
@@ -120,8 +186,15 @@ async function handleAIStatus(env, ctx) {
 
 /**
  * 获取对话统计信息
+ * GET /conversation_stats?user_id=xxx 返回该用户的对话统计及对话摘要
+ * 对话摘要可能包含订单号、手机号等客户信息，需要管理令牌
  */
-async function handleConversationStats(env, ctx) {
+async function handleConversationStats(request, env, ctx) {
+    const unauthorized = authorizeAdmin(request, env);
+    if (unauthorized) {
+        return unauthorized;
+    }
+
     try {
         if (!env.CONVERSATIONS) {
             return ApiResponse.badRequest(ErrorMessage.KV_CONFIG_MISSING, {
@@ -129,11 +202,18 @@ async function handleConversationStats(env, ctx) {
             });
         }
 
+        const userId = new URL(request.url).searchParams.get('user_id');
+        if (userId) {
+            const conversationManager = new ConversationManager(env.CONVERSATIONS);
+            const stats = await conversationManager.getConversationStats(userId);
+            return ApiResponse.success({ userId, ...stats }, '对话统计信息获取成功');
+        }
+
         // 返回系统级统计信息
         return ApiResponse.success(
             {
                 kvNamespace: 'CONVERSATIONS',
-                note: 'KV存储的对话历史，请使用 POST /conversation_stats 并传递 user_id 获取特定用户统计',
+                note: 'KV存储的对话历史，请使用 GET /conversation_stats?user_id=xxx 获取特定用户统计',
             },
             '对话统计信息获取成功',
         );
@@ -147,11 +227,18 @@ async function handleConversationStats(env, ctx) {
 
 /**
  * 清除用户对话历史
+ * scope 为 summary 时只清除对话摘要，保留最近的对话历史
  */
 async function handleClearConversation(request, env, ctx) {
+    const unauthorized = authorizeAdmin(request, env);
+    if (unauthorized) {
+        return unauthorized;
+    }
+
     try {
         const body = await request.json();
         const userId = body.user_id;
+        const summaryOnly = body.scope === 'summary';
 
         if (!userId) {
             return ApiResponse.badRequest(ErrorMessage.MISSING_PARAMETER, {
@@ -166,14 +253,19 @@ async function handleClearConversation(request, env, ctx) {
         }
 
         const conversationManager = new ConversationManager(env.CONVERSATIONS);
-        await conversationManager.clearConversationHistory(userId);
+        if (summaryOnly) {
+            await conversationManager.clearSummary(userId);
+        } else {
+            await conversationManager.clearConversationHistory(userId);
+        }
 
         return ApiResponse.success(
             {
                 userId,
                 cleared: true,
+                scope: summaryOnly ? 'summary' : 'all',
             },
-            `用户 ${userId} 的对话历史已清除`,
+            `用户 ${userId} 的${summaryOnly ? '对话摘要' : '对话历史'}已清除`,
         );
     } catch (error) {
         console.error('清除对话历史失败:', error);
@@ -309,18 +401,371 @@ async function handleUploadMedia(request, env, ctx) {
         const file = form.get('file');
         const filename = form.get('filename');
 
-        const wxClient = new WeChatClient(env.WECHAT_CORP_ID, env.WECHAT_KF_SECRET);
+        const wxClient = createWeChatClient(env);
         const result = await wxClient.uploadMedia(mediaType, file, filename);
 
         return ApiResponse.success(result, '上传临时素材成功');
     } catch (error) {
         console.error('上传临时素材失败:', error);
-        return ApiResponse.error(ErrorMessage.WECHAT_API_FAILED, BusinessCode.WECHAT_API_ERROR, 500, {
+        return weComErrorResponse(error);
+    }
+}
+
+/**
+ * 完整回答页面
+ * GET /answers/{id}
+ */
+async function handleAnswerPage(request, env, ctx) {
+    const id = new URL(request.url).pathname.slice('/answers/'.length);
+    const answer = /^[0-9a-f-]{36}$/.test(id) ? await AnswerPageStore.fromEnv(env).get(id) : null;
+
+    if (!answer) {
+        return ApiResponse.html('<!DOCTYPE html><meta charset="utf-8"><p>回答不存在或已过期</p>', 404);
+    }
+
+    return ApiResponse.html(AnswerPageStore.render(answer));
+}
+
+/**
+ * 校验管理接口的访问令牌
+ * 要求请求头 Authorization: Bearer {ADMIN_TOKEN}，校验失败时返回错误响应
+ * 未配置 ADMIN_TOKEN 时管理接口不可用，避免误将管理接口暴露在公网
+ */
+function authorizeAdmin(request, env) {
+    if (!env.ADMIN_TOKEN) {
+        return ApiResponse.serviceUnavailable('未配置 ADMIN_TOKEN，管理接口不可用');
+    }
+
+    const authorization = request.headers.get('Authorization') || '';
+    if (authorization !== `Bearer ${env.ADMIN_TOKEN}`) {
+        return ApiResponse.unauthorized('管理令牌无效');
+    }
+
+    return null;
+}
+
+/**
+ * 用量查询
+ * GET /usage?from=YYYY-MM-DD&to=YYYY-MM-DD&user_id=&open_kfid=
+ * 默认查询今天，指定 user_id 或 open_kfid 时返回该客户或客服账号的用量，否则返回全部用量
+ */
+async function handleUsage(request, env, ctx) {
+    const unauthorized = authorizeAdmin(request, env);
+    if (unauthorized) {
+        return unauthorized;
+    }
+
+    if (!env.MESSAGE_TRACKER) {
+        return ApiResponse.badRequest(ErrorMessage.KV_CONFIG_MISSING, {
+            missing: ['MESSAGE_TRACKER'],
+        });
+    }
+
+    const url = new URL(request.url);
+    const usageTracker = UsageTracker.fromEnv(env);
+    const today = usageTracker.getDate();
+    const userId = url.searchParams.get('user_id');
+    const openKfid = url.searchParams.get('open_kfid');
+    const scope = userId ? UsageScope.USER : openKfid ? UsageScope.KF : UsageScope.TOTAL;
+    const from = url.searchParams.get('from') || today;
+    const to = url.searchParams.get('to') || from;
+
+    let result;
+    try {
+        result = await usageTracker.query({ from, to, scope, id: userId || openKfid });
+    } catch (error) {
+        return ApiResponse.badRequest(error.message);
+    }
+
+    return ApiResponse.success(
+        { from, to, scope, id: userId || openKfid || null, quotas: usageTracker.quotas, ...result },
+        '用量查询成功',
+    );
+}
+
+/**
+ * 知识库管理
+ * GET /knowledge/documents: 文档列表
+ * POST /knowledge/documents: 上传文档，JSON { id, title, content, format } 或表单 file、title、format、id
+ * DELETE /knowledge/documents?id=: 删除文档
+ * POST /knowledge/search: 检索测试 { query, top_k }
+ */
+async function handleKnowledge(request, env, ctx) {
+    const unauthorized = authorizeAdmin(request, env);
+    if (unauthorized) {
+        return unauthorized;
+    }
+
+    if (!env.CONVERSATIONS) {
+        return ApiResponse.badRequest(ErrorMessage.KV_CONFIG_MISSING, {
+            missing: ['CONVERSATIONS'],
+        });
+    }
+
+    try {
+        const url = new URL(request.url);
+        const knowledgeBase = KnowledgeBase.fromEnv(env);
+
+        if (url.pathname === '/knowledge/search' && request.method === 'POST') {
+            const { query, top_k: topK } = await request.json();
+            if (!query) {
+                return ApiResponse.badRequest(ErrorMessage.MISSING_PARAMETER, { required: ['query'] });
+            }
+
+            const results = await knowledgeBase.search(query, topK);
+            return ApiResponse.success({ results, context: KnowledgeBase.formatContext(results) }, '检索成功');
+        }
+
+        if (url.pathname !== '/knowledge/documents') {
+            return ApiResponse.notFound('API端点未找到');
+        }
+
+        if (request.method === 'GET') {
+            const documents = await knowledgeBase.listDocuments();
+            return ApiResponse.success({ documents, total: documents.length }, '文档列表获取成功');
+        }
+
+        if (request.method === 'POST') {
+            const document = await readKnowledgeDocument(request);
+            if (!document.content) {
+                return ApiResponse.badRequest(ErrorMessage.MISSING_PARAMETER, { required: ['content 或 file'] });
+            }
+
+            const result = await knowledgeBase.addDocument(document);
+            return ApiResponse.success(result, '文档已添加到知识库');
+        }
+
+        if (request.method === 'DELETE') {
+            const documentId = url.searchParams.get('id');
+            if (!documentId) {
+                return ApiResponse.badRequest(ErrorMessage.MISSING_PARAMETER, { required: ['id'] });
+            }
+
+            const deleted = await knowledgeBase.deleteDocument(documentId);
+            if (!deleted) {
+                return ApiResponse.notFound(`文档 ${documentId} 不存在`);
+            }
+            return ApiResponse.success({ id: documentId, deleted: true }, '文档已删除');
+        }
+
+        return ApiResponse.notFound('API端点未找到');
+    } catch (error) {
+        console.error('知识库操作失败:', error);
+        return ApiResponse.error('知识库操作失败', BusinessCode.INTERNAL_ERROR, 500, {
+            error: error.message,
+        });
+    }
+}
+
+/**
+ * 客服账号人设管理
+ * GET /personas: 人设列表，带 open_kfid 参数时返回该账号合并默认值后的完整人设
+ * PUT /personas: 保存人设 { open_kfid, name, systemPrompt, model, temperature, maxHistoryLength, expirationTtl, welcomeMessage, fallbackMessage, commands }
+ * DELETE /personas?open_kfid=: 删除人设，恢复为默认配置
+ */
+async function handlePersonas(request, env, ctx) {
+    const unauthorized = authorizeAdmin(request, env);
+    if (unauthorized) {
+        return unauthorized;
+    }
+
+    if (!env.CONVERSATIONS) {
+        return ApiResponse.badRequest(ErrorMessage.KV_CONFIG_MISSING, {
+            missing: ['CONVERSATIONS'],
+        });
+    }
+
+    const url = new URL(request.url);
+    const personaStore = new PersonaStore(env.CONVERSATIONS);
+
+    try {
+        if (request.method === 'GET') {
+            const openKfid = url.searchParams.get('open_kfid');
+            if (openKfid) {
+                const persona = await personaStore.resolve(openKfid, env);
+                const stored = await personaStore.get(openKfid);
+                return ApiResponse.success({ ...persona, customized: !!stored }, '人设获取成功');
+            }
+
+            const personas = await personaStore.list();
+            return ApiResponse.success({ personas, defaults: PersonaStore.getDefaults(env) }, '人设列表获取成功');
+        }
+
+        if (request.method === 'PUT' || request.method === 'POST') {
+            const { open_kfid: openKfid, ...input } = await request.json();
+            if (!openKfid) {
+                return ApiResponse.badRequest(ErrorMessage.MISSING_PARAMETER, { required: ['open_kfid'] });
+            }
+
+            let persona;
+            try {
+                persona = await personaStore.save(openKfid, input);
+            } catch (error) {
+                return ApiResponse.badRequest(ErrorMessage.INVALID_PARAMETER, { error: error.message });
+            }
+            return ApiResponse.success(persona, '人设已保存');
+        }
+
+        if (request.method === 'DELETE') {
+            const openKfid = url.searchParams.get('open_kfid');
+            if (!openKfid) {
+                return ApiResponse.badRequest(ErrorMessage.MISSING_PARAMETER, { required: ['open_kfid'] });
+            }
+
+            if (!(await personaStore.delete(openKfid))) {
+                return ApiResponse.notFound(`客服账号 ${openKfid} 未配置人设`);
+            }
+            return ApiResponse.success({ openKfid, deleted: true }, '人设已删除');
+        }
+
+        return ApiResponse.notFound('API端点未找到');
+    } catch (error) {
+        console.error('人设操作失败:', error);
+        return ApiResponse.error(ErrorMessage.KV_OPERATION_FAILED, BusinessCode.KV_OPERATION_ERROR, 500, {
             error: error.message,
         });
     }
 }
 
+/**
+ * 自动回复规则管理
+ * GET /rules?id= 查询规则及命中统计，POST/PUT /rules 新增或更新规则，DELETE /rules?id= 删除规则
+ */
+async function handleRules(request, env, ctx) {
+    const unauthorized = authorizeAdmin(request, env);
+    if (unauthorized) {
+        return unauthorized;
+    }
+
+    if (!env.CONVERSATIONS || !env.MESSAGE_TRACKER) {
+        return ApiResponse.badRequest(ErrorMessage.KV_CONFIG_MISSING, {
+            missing: [!env.CONVERSATIONS && 'CONVERSATIONS', !env.MESSAGE_TRACKER && 'MESSAGE_TRACKER'].filter(Boolean),
+        });
+    }
+
+    const url = new URL(request.url);
+    const ruleStore = new RuleStore(env.CONVERSATIONS);
+    const messageTracker = new MessageTracker(env.MESSAGE_TRACKER);
+
+    try {
+        if (request.method === 'GET') {
+            const id = url.searchParams.get('id');
+            if (id) {
+                const rule = await ruleStore.get(id);
+                if (!rule) {
+                    return ApiResponse.notFound(`规则 ${id} 不存在`);
+                }
+                return ApiResponse.success({ ...rule, hits: await messageTracker.getRuleHits(id) }, '规则获取成功');
+            }
+
+            const rules = await ruleStore.list();
+            const hits = await Promise.all(rules.map(rule => messageTracker.getRuleHits(rule.id)));
+            return ApiResponse.success(
+                { rules: rules.map((rule, index) => ({ ...rule, hits: hits[index] })) },
+                '规则列表获取成功',
+            );
+        }
+
+        if (request.method === 'PUT' || request.method === 'POST') {
+            const input = await request.json();
+            try {
+                RuleStore.validate(input);
+            } catch (error) {
+                return ApiResponse.badRequest(ErrorMessage.INVALID_PARAMETER, { error: error.message });
+            }
+
+            const rule = await ruleStore.save(input);
+            return ApiResponse.success(rule, '规则已保存');
+        }
+
+        if (request.method === 'DELETE') {
+            const id = url.searchParams.get('id');
+            if (!id) {
+                return ApiResponse.badRequest(ErrorMessage.MISSING_PARAMETER, { required: ['id'] });
+            }
+
+            if (!(await ruleStore.delete(id))) {
+                return ApiResponse.notFound(`规则 ${id} 不存在`);
+            }
+            await messageTracker.deleteRuleHits(id);
+            return ApiResponse.success({ id, deleted: true }, '规则已删除');
+        }
+
+        return ApiResponse.notFound('API端点未找到');
+    } catch (error) {
+        console.error('规则操作失败:', error);
+        return ApiResponse.error(ErrorMessage.KV_OPERATION_FAILED, BusinessCode.KV_OPERATION_ERROR, 500, {
+            error: error.message,
+        });
+    }
+}
+
+/**
+ * AI 回复缓存管理
+ * GET /response_cache?open_kfid= 列出缓存的问题，DELETE /response_cache?open_kfid=&question= 删除缓存，不带参数时清空全部缓存
+ */
+async function handleResponseCache(request, env, ctx) {
+    const unauthorized = authorizeAdmin(request, env);
+    if (unauthorized) {
+        return unauthorized;
+    }
+
+    if (!env.CONVERSATIONS) {
+        return ApiResponse.badRequest(ErrorMessage.KV_CONFIG_MISSING, {
+            missing: ['CONVERSATIONS'],
+        });
+    }
+
+    const url = new URL(request.url);
+    const openKfid = url.searchParams.get('open_kfid');
+    // 管理接口不要求开启缓存，关闭缓存后仍可清理
+    const responseCache = new ResponseCache(env.CONVERSATIONS);
+
+    try {
+        if (request.method === 'GET') {
+            const entries = await responseCache.list(openKfid);
+            return ApiResponse.success({ entries, count: entries.length }, '回复缓存获取成功');
+        }
+
+        if (request.method === 'DELETE') {
+            const question = url.searchParams.get('question');
+            const deleted = await responseCache.invalidate({ openKfid, question });
+            return ApiResponse.success({ openKfid, question, deleted }, '回复缓存已删除');
+        }
+
+        return ApiResponse.notFound('API端点未找到');
+    } catch (error) {
+        console.error('回复缓存操作失败:', error);
+        return ApiResponse.error(ErrorMessage.KV_OPERATION_FAILED, BusinessCode.KV_OPERATION_ERROR, 500, {
+            error: error.message,
+        });
+    }
+}
+
+/**
+ * 读取上传的知识库文档，表单上传时根据文件扩展名推断格式（.md 为 markdown，.csv 为 faq）
+ */
+async function readKnowledgeDocument(request) {
+    const contentType = request.headers.get('Content-Type') || '';
+    if (!contentType.includes('multipart/form-data')) {
+        const { id, title, content, format } = await request.json();
+        return { id, title, content, format };
+    }
+
+    const form = await request.formData();
+    const file = form.get('file');
+    const filename = file?.name || '';
+    const extension = filename.split('.').pop().toLowerCase();
+    const inferredFormat = { md: 'markdown', markdown: 'markdown', csv: 'faq' }[extension] || 'text';
+
+    return {
+        id: form.get('id') || undefined,
+        title: form.get('title') || filename.replace(/\.[^.]+$/, '') || undefined,
+        content: file ? await file.text() : form.get('content'),
+        format: form.get('format') || inferredFormat,
+    };
+}
+
 /**
  * 测试加解密功能
  */
@@ -341,7 +786,7 @@ async function handleTestCrypto(env, ctx) {
         }
 
         // 创建加解密实例
-        const wxcrypt = new WXBizMsgCrypt(env.WECHAT_KF_TOKEN, env.WECHAT_KF_ENCODING_AES_KEY, env.WECHAT_CORP_ID);
+        const wxcrypt = WXBizMsgCrypt.fromEnv(env);
 
         // 执行测试
         const testResult = await wxcrypt.testCrypto();
@@ -396,7 +841,7 @@ async function handleVerifyCallback(request, env, ctx) {
 
     try {
         // 使用WXBizMsgCrypt解密echostr
-        const wxcrypt = new WXBizMsgCrypt(env.WECHAT_KF_TOKEN, env.WECHAT_KF_ENCODING_AES_KEY, env.WECHAT_CORP_ID);
+        const wxcrypt = WXBizMsgCrypt.fromEnv(env);
 
         const res = await wxcrypt.verifyURL(msgSignature, timestamp, nonce, echostr);
         const { ret, decryptedEchostr } = res;
@@ -453,7 +898,7 @@ async function handleCallbackAsync(postData, env, params) {
 
     try {
         // 使用WXBizMsgCrypt解密消息
-        const wxcrypt = new WXBizMsgCrypt(env.WECHAT_KF_TOKEN, env.WECHAT_KF_ENCODING_AES_KEY, env.WECHAT_CORP_ID);
+        const wxcrypt = WXBizMsgCrypt.fromEnv(env);
 
         const { ret, decryptedXml } = await wxcrypt.decryptMsg(
             postData,
@@ -476,23 +921,44 @@ async function handleCallbackAsync(postData, env, params) {
         };
 
         // 创建微信客户端
-        const wxClient = new WeChatClient(env.WECHAT_CORP_ID, env.WECHAT_KF_SECRET);
-
-        // 获取最新的未处理文本消息
-        const unprocessedMessages = await wxClient.getLatestTextMessages(msgInfo.token, msgInfo.kfId, messageTracker);
-
-        // 处理最新的一条消息
-        if (unprocessedMessages.length > 0) {
-            const [latestMessage] = unprocessedMessages;
-            await processUserMessage(
-                latestMessage.externalUserid,
-                latestMessage.content,
-                latestMessage.msgid,
-                msgInfo.kfId,
-                wxClient,
-                env,
-            );
-        }
+        const wxClient = createWeChatClient(env);
+
+        // 从上次保存的游标开始增量同步，获取所有未处理的客户消息和事件
+        const cursorStore = new SyncCursorStore(env.MESSAGE_TRACKER);
+        const unprocessedMessages = await wxClient.getUnprocessedMessages(
+            msgInfo.token,
+            msgInfo.kfId,
+            messageTracker,
+            cursorStore,
+        );
+
+        // 事件消息交给事件分发器处理
+        const eventDispatcher = EventDispatcher.fromEnv(
+            env,
+            wxClient,
+            messageTracker,
+            new ConversationManager(env.CONVERSATIONS),
+            new CustomerProfileStore(env.CONVERSATIONS, wxClient),
+            new PersonaStore(env.CONVERSATIONS),
+        );
+
+        // 按用户分组：不同用户并行处理，同一用户的消息和事件按发送时间依次处理
+        const userGroups = groupMessagesByUser(unprocessedMessages);
+        await Promise.all(
+            [...userGroups.values()].map(async userMessages => {
+                for (const message of userMessages) {
+                    try {
+                        if (message.msgtype === 'event') {
+                            await eventDispatcher.dispatch(message);
+                        } else {
+                            await processUserMessage(message, msgInfo.kfId, wxClient, env);
+                        }
+                    } catch (error) {
+                        console.error(`处理消息 ${message.msgid} 失败:`, error);
+                    }
+                }
+            }),
+        );
 
         // 标记回调请求为已处理
         await messageTracker.markMessageAsProcessed(params.msgSignature, {
@@ -512,10 +978,115 @@ async function handleCallbackAsync(postData, env, params) {
     }
 }
 
+/**
+ * 图片消息写入对话历史的占位文本
+ */
+const IMAGE_PLACEHOLDER = '[用户发送了一张图片]';
+
+/**
+ * 语音转写文本写入对话历史时的前缀
+ */
+const VOICE_PREFIX = '[语音转文字]';
+
+/**
+ * 下载语音并转写为文本
+ * 微信语音为 AMR 格式，配置了 AUDIO_CONVERTER_URL 时先转换格式再转写
+ */
+async function transcribeVoice(mediaId, wxClient, env) {
+    const config = getTranscriptionConfig(env);
+    const { data, contentType } = await wxClient.downloadMedia(mediaId);
+
+    let audio = new Blob([data], { type: contentType || 'audio/amr' });
+    let filename = 'voice.amr';
+
+    if (config.converterUrl) {
+        const url = new URL(config.converterUrl);
+        url.searchParams.set('format', config.targetFormat);
+
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'audio/amr' },
+            body: data,
+            signal: AbortSignal.timeout(config.timeout),
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`语音格式转换失败: HTTP ${response.status} - ${errorText}`);
+        }
+
+        audio = new Blob([await response.arrayBuffer()], { type: `audio/${config.targetFormat}` });
+        filename = `voice.${config.targetFormat}`;
+    }
+
+    const transcriptionClient = new OpenAIClient(config);
+    const { text } = await transcriptionClient.createTranscription({
+        file: audio,
+        filename,
+        model: config.model,
+        language: config.language,
+    });
+
+    return (text || '').trim();
+}
+
+/**
+ * 检索知识库，未开启（KNOWLEDGE_BASE 不为 true）或检索失败时返回空数组
+ */
+async function retrieveKnowledge(query, env) {
+    if (env.KNOWLEDGE_BASE !== 'true' || !query) {
+        return [];
+    }
+
+    try {
+        return await KnowledgeBase.fromEnv(env).search(query);
+    } catch (error) {
+        console.error('检索知识库失败:', error);
+        return [];
+    }
+}
+
+/**
+ * 解析用户消息内容
+ * 文本消息直接使用；图片消息下载后以 base64 image_url 传给视觉模型，历史中只保存占位文本；
+ * 语音消息转写为文本后按文本处理，历史中标注来源；text 为不带标注的文本，用于匹配自动回复规则
+ * @returns {Promise<{content: string, text: string|null, aiContent: string|Array|null, model: string}>}
+ */
+async function resolveMessageContent(message, wxClient, aiConfig, env) {
+    if (message.msgtype === 'voice') {
+        const transcript = await transcribeVoice(message.mediaId, wxClient, env);
+        return {
+            content: transcript ? `${VOICE_PREFIX} ${transcript}` : '',
+            text: transcript,
+            aiContent: null,
+            model: aiConfig.model,
+        };
+    }
+
+    if (message.msgtype === 'image') {
+        const { data, contentType } = await wxClient.downloadMedia(message.mediaId);
+        const imageUrl = `data:${contentType};base64,${arrayBufferToBase64(data)}`;
+
+        return {
+            content: IMAGE_PLACEHOLDER,
+            text: null,
+            aiContent: [
+                { type: 'text', text: env.IMAGE_PROMPT || '用户发送了一张图片，请识别图片内容并据此回复。' },
+                { type: 'image_url', image_url: { url: imageUrl } },
+            ],
+            model: aiConfig.visionModel,
+        };
+    }
+
+    return { content: message.content, text: message.content, aiContent: null, model: aiConfig.model };
+}
+
 /**
  * 处理用户消息
  */
-async function processUserMessage(externalUserid, content, msgid, msgKfId, wxClient, env) {
+async function processUserMessage(message, msgKfId, wxClient, env) {
+    const { externalUserid, msgid } = message;
+
     // 检查 KV 存储是否配置
     if (!env.CONVERSATIONS || !env.MESSAGE_TRACKER) {
         throw new Error('CONVERSATIONS or MESSAGE_TRACKER KV namespace not configured');
@@ -529,66 +1100,387 @@ async function processUserMessage(externalUserid, content, msgid, msgKfId, wxCli
         return;
     }
 
+    // 先标记为处理中，避免并发回调重复处理
+    await messageTracker.markMessageAsProcessing(msgid, { externalUserid });
+
+    let content = message.content;
+    let persona = null;
+    let aiClient = null;
+    let summaryClient = null;
+    const handoffManager = HandoffManager.fromEnv(env, wxClient);
+    const usageTracker = UsageTracker.fromEnv(env);
+
     try {
+        // 会话由人工接待时机器人不再回复，会话回到智能助手或结束后恢复
+        if (await handoffManager.isHumanServing(msgKfId, externalUserid)) {
+            console.log(`用户 ${externalUserid} 正由人工接待，跳过消息 ${msgid}`);
+            await messageTracker.markMessageAsProcessed(msgid, {
+                externalUserid,
+                msgtype: message.msgtype,
+                content,
+                skipped: 'human_serving',
+                success: true,
+            });
+            return;
+        }
+
+        // 客服账号人设，未单独配置的字段使用环境变量默认值
+        persona = await new PersonaStore(env.CONVERSATIONS).resolve(msgKfId, env);
+
+        const aiConfig = getAIConfig(env);
+        if (persona.model) {
+            aiConfig.model = persona.model;
+        }
+        validateAIConfig(aiConfig);
+
+        // 当前模型不支持图片理解时直接回复提示
+        if (message.msgtype === 'image' && !aiConfig.visionModel) {
+            const unsupportedReply = env.IMAGE_UNSUPPORTED_REPLY || '抱歉，暂时无法识别图片，请用文字描述您的问题。';
+            await sendTextReply(wxClient, messageTracker, externalUserid, msgKfId, unsupportedReply, msgid);
+            await messageTracker.markMessageAsProcessed(msgid, {
+                externalUserid,
+                msgtype: message.msgtype,
+                assistantMessage: unsupportedReply,
+                success: true,
+            });
+            return;
+        }
+
+        // 获取客户资料，用于填充系统提示词中的变量
+        const customerProfileStore = new CustomerProfileStore(env.CONVERSATIONS, wxClient);
+        const profile = await customerProfileStore.getProfile(externalUserid);
+
+        // 主服务失败时依次尝试备用服务，熔断状态在 KV 中共享
+        const circuitBreaker = new CircuitBreaker(env.MESSAGE_TRACKER, aiConfig.circuitBreaker);
+        aiClient = new FallbackChatClient([aiConfig, ...aiConfig.fallbacks], circuitBreaker);
+        // 对话摘要使用单独的客户端，不影响消息记录中的回复服务和模型
+        if (aiConfig.summary.enabled) {
+            summaryClient = new FallbackChatClient([aiConfig, ...aiConfig.fallbacks], circuitBreaker);
+        }
+
+        // 客户通过 /lang 选择的回复语言
+        const languageStore = new LanguageStore(env.CONVERSATIONS);
+        const language = await languageStore.get(externalUserid);
+
         // 创建对话管理器
         const conversationManager = new ConversationManager(env.CONVERSATIONS, {
-            maxHistoryLength: 10,
-            expirationTtl: 86400, // 24小时
-            systemPrompt: env.SYSTEM_PROMPT || 'you are helpful assistant',
+            maxHistoryLength: persona.maxHistoryLength,
+            model: aiConfig.model,
+            contextWindow: aiConfig.contextWindow,
+            replyTokens: aiConfig.maxTokens,
+            maxHistoryTokens: aiConfig.maxHistoryTokens,
+            summarizer: summaryClient ? new ConversationSummarizer(summaryClient, aiConfig.summary) : null,
+            summaryRetainRatio: aiConfig.summary.retainRatio,
+            expirationTtl: persona.expirationTtl,
+            promptVariables: getProfileVariables(profile, externalUserid),
+            systemPrompt: [
+                persona.systemPrompt,
+                handoffManager.getPromptInstruction(),
+                LanguageStore.getPromptInstruction(language),
+            ]
+                .filter(Boolean)
+                .join('\n\n'),
         });
 
-        // 处理用户消息并获取对话历史
-        const { aiMessages } = await conversationManager.processUserMessage(externalUserid, content);
+        // 解析消息内容
+        const resolved = await resolveMessageContent(message, wxClient, aiConfig, env);
+        content = resolved.content;
+
+        // 语音未识别出内容时提示用户重试
+        if (!content) {
+            const unrecognizedReply = env.VOICE_UNRECOGNIZED_REPLY || '抱歉，没有听清您的语音，请再说一遍或发送文字。';
+            await sendTextReply(wxClient, messageTracker, externalUserid, msgKfId, unrecognizedReply, msgid);
+            await messageTracker.markMessageAsProcessed(msgid, {
+                externalUserid,
+                msgtype: message.msgtype,
+                assistantMessage: unrecognizedReply,
+                success: true,
+            });
+            return;
+        }
 
-        // 调用AI客服
-        const aiConfig = getAIConfig(env);
-        validateAIConfig(aiConfig);
-        const aiClient = new OpenAIClient(aiConfig);
+        // 客户指令直接执行，不写入对话历史，也不发给 AI
+        const command =
+            message.msgtype === 'text'
+                ? await CommandRegistry.fromEnv(env, persona).execute(content, {
+                      externalUserid,
+                      openKfid: msgKfId,
+                      conversationManager,
+                      handoffManager,
+                      languageStore,
+                  })
+                : null;
+        if (command) {
+            console.log(`用户 ${externalUserid} 执行指令 /${command.name}`);
+            await sendTextReply(wxClient, messageTracker, externalUserid, msgKfId, command.reply, msgid);
+
+            // 回复已发送，后续操作（如转人工）失败只记录日志，不再发送错误提示
+            let result = {};
+            try {
+                result = (await command.afterReply?.()) || {};
+            } catch (error) {
+                console.error(`执行指令 /${command.name} 失败:`, error);
+                result = { commandError: error.message };
+            }
+            await messageTracker.markMessageAsProcessed(msgid, {
+                externalUserid,
+                msgtype: message.msgtype,
+                content,
+                assistantMessage: command.reply,
+                skipped: 'command',
+                command: command.name,
+                ...result,
+                success: true,
+            });
+            return;
+        }
 
-        // 获取AI响应
-        const response = await aiClient.chatCompletion({ messages: aiMessages });
+        // 用户要求转人工
+        if (handoffManager.matchKeyword(content)) {
+            await transferToHuman(
+                handoffManager,
+                wxClient,
+                messageTracker,
+                message,
+                msgKfId,
+                content,
+                HandoffReason.KEYWORD,
+            );
+            return;
+        }
 
-        console.log('Assistant Response:\n', JSON.stringify(response, null, 2));
+        // 用户消息命中敏感内容时回复固定提示，不发给 AI
+        const moderator = ContentModerator.fromEnv(env);
+        const inputModeration = await moderator.check(content, ModerationDirection.INPUT);
+        if (inputModeration.flagged) {
+            console.warn(`用户 ${externalUserid} 的消息 ${msgid} 未通过内容审核:`, JSON.stringify(inputModeration));
+            await sendTextReply(wxClient, messageTracker, externalUserid, msgKfId, moderator.inputReply, msgid);
+            await messageTracker.markMessageAsProcessed(msgid, {
+                externalUserid,
+                msgtype: message.msgtype,
+                content,
+                assistantMessage: moderator.inputReply,
+                skipped: 'moderation',
+                moderation: inputModeration,
+                success: true,
+            });
+            return;
+        }
 
-        const assistantMessage = response.choices?.[0]?.message?.content;
+        // 命中自动回复规则时直接回复，不调用 AI，问答仍写入对话历史；语音消息按转写的原文匹配
+        const ruleMatch = resolved.text ? await new RuleStore(env.CONVERSATIONS).match(resolved.text, msgKfId) : null;
+        if (ruleMatch) {
+            const { rule, pattern } = ruleMatch;
+            console.log(`用户 ${externalUserid} 的消息 ${msgid} 命中自动回复规则 ${rule.id}（${rule.name}）`);
 
-        if (!assistantMessage) {
-            throw new Error('AI 返回空回复');
+            const ruleReply = await sendRuleReply(
+                wxClient,
+                messageTracker,
+                externalUserid,
+                msgKfId,
+                rule.reply,
+                msgid,
+                env,
+            );
+            await conversationManager.addUserMessage(externalUserid, content);
+            await conversationManager.completeAssistantReply(externalUserid, ruleReply);
+            await messageTracker.recordRuleHit(rule.id, { msgid, externalUserid, openKfid: msgKfId, content, pattern });
+            await messageTracker.markMessageAsProcessed(msgid, {
+                externalUserid,
+                msgtype: message.msgtype,
+                content,
+                assistantMessage: ruleReply,
+                skipped: 'rule',
+                rule: { id: rule.id, name: rule.name, pattern },
+                success: true,
+            });
+            return;
         }
 
-        // 保存助手回复到对话历史
-        await conversationManager.completeAssistantReply(externalUserid, assistantMessage);
+        // 超出今日用量配额时回复固定提示，不再调用 AI
+        const quota = await usageTracker.checkQuota(externalUserid, msgKfId);
+        if (quota) {
+            console.warn(`用量超出配额 ${quota.scope}: ${quota.used}/${quota.limit}`);
+            const quotaReply = env.USAGE_QUOTA_REPLY || '抱歉，今日咨询量已达上限，请明天再试或联系人工客服。';
+            await sendTextReply(wxClient, messageTracker, externalUserid, msgKfId, quotaReply, msgid);
+            await messageTracker.markMessageAsProcessed(msgid, {
+                externalUserid,
+                msgtype: message.msgtype,
+                content,
+                assistantMessage: quotaReply,
+                skipped: 'quota_exceeded',
+                quota,
+                success: true,
+            });
+            return;
+        }
 
-        const messageChunkSize = 1024;
-        const messageChunkCount = 5;
-        if (assistantMessage.length > messageChunkSize) {
-            const messageChunks = splitStringByLength(assistantMessage.trim(), messageChunkSize);
-            for (let i = 0; i < messageChunks.length; i++) {
-                const chunk = messageChunks[i];
-                if (i + 1 === messageChunkCount || i === messageChunks.length - 1) {
-                    await wireNote(externalUserid, msgKfId, msgid, content, assistantMessage, env);
-                } else {
-                    await wxClient.sendTextMessage(externalUserid, msgKfId, chunk);
+        // 处理用户消息并获取对话历史
+        let { aiMessages } = await conversationManager.processUserMessage(externalUserid, content, resolved.aiContent);
+
+        const sendReply = text => sendTextReply(wxClient, messageTracker, externalUserid, msgKfId, text, msgid);
+        const sendFullReply = fullReply =>
+            sendFullAnswer(wxClient, messageTracker, externalUserid, msgKfId, content, fullReply, msgid, env);
+
+        // 不依赖上下文的文本问题优先使用缓存的回复，缓存按客服账号、系统提示词和模型区分
+        const responseCache = message.msgtype === 'text' ? ResponseCache.fromEnv(env) : null;
+        const cacheable = responseCache?.isCacheable(content, aiMessages) ?? false;
+        const cachePersona = { openKfid: msgKfId, systemPrompt: aiMessages[0].content, model: resolved.model };
+        if (cacheable) {
+            const cached = await responseCache.get(content, cachePersona);
+            if (cached) {
+                console.log(`消息 ${msgid} 命中回复缓存（${cached.match}，相似度 ${cached.score.toFixed(3)}）`);
+                await conversationManager.completeAssistantReply(externalUserid, cached.answer);
+                await deliverReply(cached.answer, sendReply, sendFullReply);
+                if (cached.links.length > 0) {
+                    await sendLinkCards(wxClient, messageTracker, externalUserid, msgKfId, cached.links, msgid, env);
                 }
+                await handoffManager.resetFailures(externalUserid);
+                await messageTracker.markMessageAsProcessed(msgid, {
+                    externalUserid,
+                    msgtype: message.msgtype,
+                    content,
+                    assistantMessage: cached.answer,
+                    cache: { match: cached.match, score: cached.score, question: cached.question },
+                    success: true,
+                });
+                return;
             }
+        }
+
+        // 检索知识库，将相关片段作为参考资料追加到本轮的系统提示词中，参考资料占用的 token 计入上下文预算
+        const knowledge = message.msgtype === 'image' ? [] : await retrieveKnowledge(content, env);
+        if (knowledge.length > 0) {
+            aiMessages = conversationManager.addRequestContext(aiMessages, KnowledgeBase.formatContext(knowledge));
+        }
+
+        // 调用AI客服
+        const request = { messages: aiMessages, model: resolved.model, temperature: persona.temperature };
+
+        const toolRegistry = ToolRegistry.fromEnv(env);
+
+        let assistantMessage;
+        let handoffRequested;
+        let moderation;
+        let links = [];
+        let usedTools = false;
+        const replyFormatter = ReplyFormatter.fromEnv(env);
+
+        // 工具调用需要完整的模型响应，配置了工具时不使用流式回复
+        if (aiConfig.stream && !toolRegistry.enabled) {
+            // 边生成边按句子发送，完整回复生成后再保存到对话历史
+            ({ assistantMessage, handoffRequested, moderation, links } = await streamAssistantReply(
+                aiClient,
+                request,
+                aiConfig,
+                { handoffManager, moderator, replyFormatter },
+                sendReply,
+                sendFullReply,
+            ));
+            await conversationManager.completeAssistantReply(externalUserid, assistantMessage);
         } else {
-            await wxClient.sendTextMessage(externalUserid, msgKfId, assistantMessage);
+            // 获取AI响应，模型请求调用工具时先执行工具再继续对话
+            const { response, toolMessages } = await toolRegistry.chat(aiClient, request, {
+                externalUserid,
+                openKfid: msgKfId,
+            });
+
+            console.log('Assistant Response:\n', JSON.stringify(response, null, 2));
+            usedTools = toolMessages.length > 0;
+
+            // AI 回复中的思考过程和转接标记不发送给用户，Markdown 转换为纯文本
+            const extracted = handoffManager.extractMarker(stripThinking(response.choices?.[0]?.message?.content));
+            const formatted = replyFormatter.format(extracted.reply);
+            handoffRequested = extracted.requested;
+            assistantMessage = formatted.text || (handoffRequested ? handoffManager.reply : '');
+            links = formatted.links;
+
+            if (!assistantMessage) {
+                throw new Error('AI 返回空回复');
+            }
+
+            // 回复未通过内容审核时改为发送替代回复，历史中也保存替代回复
+            moderation = await moderator.check(assistantMessage, ModerationDirection.OUTPUT);
+            if (moderation.flagged) {
+                console.warn('AI 回复未通过内容审核:', JSON.stringify(moderation));
+                assistantMessage = moderator.outputReply;
+                links = [];
+            }
+
+            // 保存工具调用记录和助手回复到对话历史
+            await conversationManager.completeAssistantReply(externalUserid, assistantMessage, toolMessages);
+
+            await deliverReply(assistantMessage, sendReply, sendFullReply);
+        }
+
+        // 卡片模式下回复中的链接以图文链接消息发送
+        if (links.length > 0) {
+            await sendLinkCards(wxClient, messageTracker, externalUserid, msgKfId, links, msgid, env);
+        }
+
+        // AI 判断需要人工介入，回复已发送，转接失败只记录日志
+        let handoff = null;
+        if (handoffRequested) {
+            try {
+                handoff = await handoffManager.handoff(msgKfId, externalUserid, HandoffReason.AI_MARKER);
+            } catch (error) {
+                console.error('转人工失败:', error);
+            }
+        }
+        if (!handoff) {
+            await handoffManager.resetFailures(externalUserid);
+        }
+
+        // 工具查询结果因人而异，转人工和未通过审核的回复也不缓存
+        if (cacheable && !usedTools && !handoffRequested && !moderation?.flagged) {
+            await responseCache.set(content, cachePersona, { answer: assistantMessage, links });
         }
 
         // 标记消息为已处理
         await messageTracker.markMessageAsProcessed(msgid, {
             externalUserid,
+            msgtype: message.msgtype,
             content,
             assistantMessage,
+            // 实际给出回复的服务和模型及本条消息的 token 用量
+            ...aiClient.answeredBy,
+            usage: {
+                promptTokens: aiClient.usage.reduce((sum, call) => sum + call.promptTokens, 0),
+                completionTokens: aiClient.usage.reduce((sum, call) => sum + call.completionTokens, 0),
+            },
+            ...(knowledge.length > 0 && {
+                knowledge: knowledge.map(({ documentId, title, score }) => ({ documentId, title, score })),
+            }),
+            ...(handoff && { handoff }),
+            ...(moderation?.flagged && { moderation }),
             success: true,
         });
     } catch (error) {
         console.error('AI处理失败:', error);
 
+        // 连续失败达到阈值时转人工
+        const failureCount = await handoffManager.recordFailure(externalUserid);
+        if (handoffManager.shouldHandoffOnFailure(failureCount)) {
+            try {
+                await transferToHuman(
+                    handoffManager,
+                    wxClient,
+                    messageTracker,
+                    message,
+                    msgKfId,
+                    content,
+                    HandoffReason.REPEATED_FAILURE,
+                );
+                return;
+            } catch (handoffError) {
+                console.error('转人工失败:', handoffError);
+            }
+        }
+
         // 发送错误提示给用户
-        const errorMessage = '抱歉，AI服务暂时不可用，请稍后再试。';
+        const errorMessage = persona?.fallbackMessage || env.FALLBACK_MESSAGE || DEFAULT_FALLBACK_MESSAGE;
         try {
-            await wxClient.sendTextMessage(externalUserid, msgKfId, errorMessage);
+            await sendTextReply(wxClient, messageTracker, externalUserid, msgKfId, errorMessage, msgid);
         } catch (sendError) {
             console.error('发送错误消息失败:', sendError);
         }
@@ -596,35 +1488,377 @@ async function processUserMessage(externalUserid, content, msgid, msgKfId, wxCli
         // 标记消息为已处理（即使失败也要标记，避免重复处理）
         await messageTracker.markMessageAsProcessed(msgid, {
             externalUserid,
+            msgtype: message.msgtype,
             content,
             error: error.message,
             success: false,
         });
+    } finally {
+        // 记录本条消息产生的 AI 调用用量，包括出错前已完成的调用
+        if (aiClient) {
+            await usageTracker.record([...aiClient.usage, ...(summaryClient?.usage || [])], {
+                externalUserid,
+                openKfid: msgKfId,
+            });
+        }
     }
 }
 
 /**
- * 按长度分割字符串
+ * 发送转接提示并将会话转给人工
  */
-function splitStringByLength(str, len) {
-    const result = [];
-    let index = 0;
-    while (index < str.length) {
-        // 从当前 index 开始，提取 len 长度的子串
-        // index += len 移动到下一个子串的起始位置
-        result.push(str.slice(index, (index += len)));
-    }
+async function transferToHuman(handoffManager, wxClient, messageTracker, message, msgKfId, content, reason) {
+    const { externalUserid, msgid } = message;
+
+    // 转为人工接待后接口无法再以智能助手身份发消息，需先发送提示
+    await sendTextReply(wxClient, messageTracker, externalUserid, msgKfId, handoffManager.reply, msgid);
+    const handoff = await handoffManager.handoff(msgKfId, externalUserid, reason);
+
+    await messageTracker.markMessageAsProcessed(msgid, {
+        externalUserid,
+        msgtype: message.msgtype,
+        content,
+        assistantMessage: handoffManager.reply,
+        handoff,
+        success: true,
+    });
+
+    return handoff;
+}
+
+/**
+ * 发送文本回复并记录已发送消息，便于收到 msg_send_fail 事件时重试
+ */
+async function sendTextReply(wxClient, messageTracker, externalUserid, msgKfId, content, replyTo) {
+    const result = await wxClient.sendTextMessage(externalUserid, msgKfId, content);
+    await messageTracker.recordSentMessage(result.msgid, {
+        externalUserid,
+        openKfid: msgKfId,
+        content,
+        replyTo,
+    });
     return result;
 }
 
-async function wireNote(externalUserid, msgKfId, msgid, question, value, env) {
-    const wxClient = new WeChatClient(env.WECHAT_CORP_ID, env.WECHAT_KF_SECRET);
+/**
+ * 图文链接消息的缩略图
+ * 优先使用 REPLY_LINK_THUMB_MEDIA_ID，否则上传 REPLY_LINK_THUMB_URL 的图片，临时素材有效期 3 天，media_id 缓存 2 天
+ */
+async function getLinkThumbMediaId(wxClient, env) {
+    if (env.REPLY_LINK_THUMB_MEDIA_ID) {
+        return env.REPLY_LINK_THUMB_MEDIA_ID;
+    }
+
+    const cacheKey = `link_thumb:${env.REPLY_LINK_THUMB_URL}`;
+    const cached = await env.MESSAGE_TRACKER.get(cacheKey);
+    if (cached) {
+        return cached;
+    }
+
+    const response = await fetch(env.REPLY_LINK_THUMB_URL, { signal: AbortSignal.timeout(10000) });
+    if (!response.ok) {
+        throw new Error(`下载链接缩略图失败: HTTP ${response.status}`);
+    }
+
+    const filename = new URL(env.REPLY_LINK_THUMB_URL).pathname.split('/').pop() || 'thumb.jpg';
+    const { media_id } = await wxClient.uploadMedia(wxClient.mediaType.image, await response.blob(), filename);
+    await env.MESSAGE_TRACKER.put(cacheKey, media_id, { expirationTtl: 2 * 86400 });
+    return media_id;
+}
+
+/**
+ * 发送自动回复规则的回复，文本、链接、菜单消息记录为已发送消息，发送失败时以文本重试
+ * @returns {Promise<string>} 写入对话历史的回复文本
+ */
+async function sendRuleReply(wxClient, messageTracker, externalUserid, msgKfId, reply, replyTo, env) {
+    switch (reply.type) {
+        case RuleReplyType.TEXT:
+            await sendTextReply(wxClient, messageTracker, externalUserid, msgKfId, reply.content, replyTo);
+            return reply.content;
+
+        case RuleReplyType.IMAGE: {
+            const result = await wxClient.sendImageMessage(externalUserid, msgKfId, reply.mediaId);
+            // 记录 mediaId，发送失败重试时重新发送图片
+            await messageTracker.recordSentMessage(result.msgid, {
+                externalUserid,
+                openKfid: msgKfId,
+                content: '[图片]',
+                mediaId: reply.mediaId,
+                replyTo,
+            });
+            return '[图片]';
+        }
+
+        case RuleReplyType.LINK: {
+            if (!reply.thumbMediaId && !env.REPLY_LINK_THUMB_MEDIA_ID && !env.REPLY_LINK_THUMB_URL) {
+                throw new Error('链接回复缺少缩略图，请配置 reply.thumbMediaId 或 REPLY_LINK_THUMB_MEDIA_ID');
+            }
+
+            const thumbMediaId = reply.thumbMediaId || (await getLinkThumbMediaId(wxClient, env));
+            const result = await wxClient.sendLinkMessage(
+                externalUserid,
+                msgKfId,
+                reply.title,
+                reply.desc,
+                reply.url,
+                thumbMediaId,
+            );
+            const content = `[链接] ${reply.title} ${reply.url}`;
+            await messageTracker.recordSentMessage(result.msgid, {
+                externalUserid,
+                openKfid: msgKfId,
+                content,
+                replyTo,
+            });
+            return content;
+        }
+
+        case RuleReplyType.MENU: {
+            const result = await wxClient.sendMenuMessage(externalUserid, msgKfId, reply.menu);
+            const content = [
+                reply.menu.head_content,
+                ...reply.menu.list.map(item => item[item.type]?.content),
+                reply.menu.tail_content,
+            ]
+                .filter(Boolean)
+                .join('\n');
+            await messageTracker.recordSentMessage(result.msgid, {
+                externalUserid,
+                openKfid: msgKfId,
+                content,
+                replyTo,
+            });
+            return content;
+        }
+
+        default:
+            throw new Error(`不支持的回复类型 ${reply.type}`);
+    }
+}
+
+/**
+ * 以图文链接消息发送回复中的链接，相同地址只发送一次，最多 3 条
+ * 发送失败只记录日志，不影响已发送的文本回复
+ */
+async function sendLinkCards(wxClient, messageTracker, externalUserid, msgKfId, links, replyTo, env) {
+    const uniqueLinks = [...new Map(links.map(link => [link.url, link])).values()].slice(0, 3);
+
+    try {
+        const thumbMediaId = await getLinkThumbMediaId(wxClient, env);
+        for (const { title, url } of uniqueLinks) {
+            const result = await wxClient.sendLinkMessage(
+                externalUserid,
+                msgKfId,
+                title,
+                new URL(url).hostname,
+                url,
+                thumbMediaId,
+            );
+            await messageTracker.recordSentMessage(result.msgid, {
+                externalUserid,
+                openKfid: msgKfId,
+                content: `[链接] ${title} ${url}`,
+                replyTo,
+            });
+        }
+    } catch (error) {
+        console.error('发送链接消息失败:', error);
+    }
+}
+
+/**
+ * 单条文本消息内容的最大字节数
+ */
+const MAX_TEXT_BYTES = 2048;
 
-    const blob = new Blob([value], { type: 'text/plain' });
-    const file = new File([blob], `${question}-完整回答-${msgid}.txt`, { type: 'text/plain' });
+/**
+ * 一条回复最多发送的消息条数，超过时发送完整回答
+ */
+const MAX_REPLY_MESSAGES = 5;
+
+/**
+ * 发送完整的 AI 回复，超过单条消息的字节数限制时在段落、句子处分段发送，
+ * 超过条数限制时先发送前几段，再以页面链接或文件发送完整回答
+ */
+async function deliverReply(assistantMessage, sendReply, sendFullReply) {
+    const messageChunks = splitText(assistantMessage.trim(), MAX_TEXT_BYTES);
+
+    if (messageChunks.length <= MAX_REPLY_MESSAGES) {
+        for (const chunk of messageChunks) {
+            await sendReply(chunk);
+        }
+        return;
+    }
+
+    for (const chunk of messageChunks.slice(0, MAX_REPLY_MESSAGES - 1)) {
+        await sendReply(chunk);
+    }
+    await sendFullReply(assistantMessage);
+}
+
+/**
+ * 流式获取 AI 回复，每凑满一个句子或段落就作为一条消息发送，超过单条消息字节数限制的段落拆分为多条
+ * 单条用户消息最多回复 streamMaxMessages 条，最后一条额度用于发送剩余的全部内容，过长时以文件发送完整回答
+ * 思考过程不发送，每段发送前转换 Markdown 并进行内容审核，未通过时停止生成并发送替代回复
+ * 每段发送前只检查黑名单，审核接口在第一段发送前调用，之后每 moderator.streamInterval 段合并调用一次，最后审核剩余内容
+ * @param {object} pipeline handoffManager, moderator, replyFormatter
+ * @returns {Promise<{assistantMessage: string, handoffRequested: boolean, moderation: object, links: object[]}>}
+ */
+async function streamAssistantReply(aiClient, request, aiConfig, pipeline, sendReply, sendFullReply) {
+    const { handoffManager, moderator, replyFormatter } = pipeline;
+    const chunker = new SentenceChunker({ minLength: aiConfig.streamMinLength });
+    const thinkingFilter = new ThinkingFilter();
+    const maxMessages = Math.max(aiConfig.streamMaxMessages, 1);
+    const links = [];
+    let fullReply = '';
+    let sentLength = 0;
+    let sentCount = 0;
+    let streaming = maxMessages > 1;
+    // 已发送但尚未经审核接口检查的内容
+    let unchecked = '';
+    let uncheckedCount = 0;
+
+    const formatSegment = text => {
+        const formatted = replyFormatter.format(text);
+        links.push(...formatted.links);
+        return formatted.text;
+    };
+
+    // 未通过内容审核时发送替代回复，已发送的内容无法撤回
+    const moderate = async (text, api = true) => {
+        const moderation = await moderator.check(text, ModerationDirection.OUTPUT, { api });
+        if (moderation.flagged) {
+            console.warn('AI 回复未通过内容审核:', JSON.stringify(moderation));
+            await sendReply(moderator.outputReply);
+        }
+        return moderation;
+    };
+
+    for await (const chunk of aiClient.chatCompletionStream(request)) {
+        const delta = thinkingFilter.push(chunk.choices?.[0]?.delta?.content || '');
+        if (!delta) continue;
+
+        fullReply += delta;
+        if (!streaming) continue;
+
+        const segment = chunker.push(delta);
+        if (!segment) continue;
+
+        // 转接标记不发送给用户
+        const formatted = replyFormatter.format(handoffManager.extractMarker(segment).reply);
+        const chunks = splitText(formatted.text, MAX_TEXT_BYTES);
+
+        // 剩余额度不够发送该段时停止分段发送，留到最后与剩余内容一起处理
+        if (sentCount + chunks.length > maxMessages - 1) {
+            streaming = false;
+            continue;
+        }
+
+        if (chunks.length > 0) {
+            // 审核接口连同之前未检查的段落一起审核，减少调用次数
+            const batch = [unchecked, formatted.text].filter(Boolean).join('\n');
+            const checkApi = sentCount === 0 || uncheckedCount + 1 >= moderator.streamInterval;
+            const moderation = await moderate(checkApi ? batch : formatted.text, checkApi);
+            if (moderation.flagged) {
+                return { assistantMessage: moderator.outputReply, handoffRequested: false, moderation, links: [] };
+            }
+            unchecked = checkApi ? '' : batch;
+            uncheckedCount = checkApi ? 0 : uncheckedCount + 1;
+
+            for (const chunk of chunks) {
+                await sendReply(chunk);
+            }
+            links.push(...formatted.links);
+            sentCount += chunks.length;
+        }
+        sentLength = fullReply.length - chunker.buffer.length;
+        streaming = sentCount < maxMessages - 1;
+    }
+    fullReply += thinkingFilter.flush();
+
+    const { requested: handoffRequested, reply } = handoffManager.extractMarker(fullReply);
+    const assistantMessage = replyFormatter.format(reply).text || (handoffRequested ? handoffManager.reply : '');
+
+    if (!assistantMessage) {
+        throw new Error('AI 返回空回复');
+    }
+
+    const rest = formatSegment(handoffManager.extractMarker(fullReply.slice(sentLength).trim()).reply);
+    // 剩余内容与尚未经审核接口检查的段落一起审核，都为空时无需再审核
+    const remaining = [unchecked, rest || (sentCount === 0 ? assistantMessage : '')].filter(Boolean).join('\n');
+    const moderation = remaining ? await moderate(remaining) : { flagged: false };
+    if (moderation.flagged) {
+        return { assistantMessage: moderator.outputReply, handoffRequested: false, moderation, links: [] };
+    }
+
+    if (rest) {
+        const restChunks = splitText(rest, MAX_TEXT_BYTES);
+        if (restChunks.length > maxMessages - sentCount) {
+            await sendFullReply(assistantMessage);
+        } else {
+            for (const chunk of restChunks) {
+                await sendReply(chunk);
+            }
+        }
+    } else if (sentCount === 0) {
+        await deliverReply(assistantMessage, sendReply, sendFullReply);
+    }
+
+    return { assistantMessage, handoffRequested, moderation, links };
+}
+
+/**
+ * 生成完整回答的文件名，去掉问题中文件名不允许的字符并截取前 20 个字
+ */
+function getAnswerFilename(question, msgid) {
+    const title = Array.from((question || '').replace(/[\\/:*?"<>|\s\x00-\x1f]+/g, ' ').trim())
+        .slice(0, 20)
+        .join('')
+        .trim();
+    return `${title || '回答'}-完整回答-${msgid}.txt`;
+}
+
+/**
+ * 发送完整回答
+ * 配置了 ANSWER_PAGE_BASE_URL 时保存为网页，以图文链接消息（未配置缩略图时为文本链接）发送，否则以文件发送
+ */
+async function sendFullAnswer(wxClient, messageTracker, externalUserid, msgKfId, question, answer, replyTo, env) {
+    const answerPages = AnswerPageStore.fromEnv(env);
+
+    if (answerPages.enabled) {
+        try {
+            const { url } = await answerPages.save({ question, content: answer });
+            let result;
+
+            if (env.REPLY_LINK_THUMB_MEDIA_ID || env.REPLY_LINK_THUMB_URL) {
+                const description = Array.from(answer).slice(0, 50).join('');
+                result = await wxClient.sendLinkMessage(
+                    externalUserid,
+                    msgKfId,
+                    '查看完整回答',
+                    description,
+                    url,
+                    await getLinkThumbMediaId(wxClient, env),
+                );
+            } else {
+                result = await wxClient.sendTextMessage(externalUserid, msgKfId, `查看完整回答：${url}`);
+            }
+
+            await messageTracker.recordSentMessage(result.msgid, {
+                externalUserid,
+                openKfid: msgKfId,
+                content: `[完整回答] ${url}`,
+                replyTo,
+            });
+            return result.msgid;
+        } catch (error) {
+            console.error('发送完整回答页面失败，改为发送文件:', error);
+        }
+    }
 
-    // 传给微信接口
-    const { media_id } = await wxClient.uploadMedia(wxClient.mediaType.file, file, `${question}-完整回答-${msgid}.txt`);
+    const filename = getAnswerFilename(question, replyTo);
+    const file = new File([answer], filename, { type: 'text/plain' });
+    const { media_id } = await wxClient.uploadMedia(wxClient.mediaType.file, file, filename);
 
     const result = await wxClient.sendFileMessage(externalUserid, msgKfId, media_id);
     return result.msgid;
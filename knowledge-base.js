@@ -0,0 +1,514 @@
+/**
+ * 知识库
+ * 将上传的文档（纯文本、Markdown、FAQ CSV）切分为片段并生成文本向量，回复时检索最相关的片段作为参考资料
+ * 向量可以存储在 Cloudflare Vectorize、KV 或内存中，KV 和内存存储使用暴力余弦相似度检索
+ */
+import { OpenAIClient } from './clients.js';
+import { getEmbeddingConfig } from './config.js';
+
+/**
+ * 支持的文档格式
+ */
+export const DocumentFormat = {
+    TEXT: 'text',
+    MARKDOWN: 'markdown',
+    FAQ: 'faq',
+};
+
+/**
+ * 余弦相似度
+ */
+export function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * 按相似度排序文档片段，返回前 topK 个
+ * @param {number[]} vector 查询向量
+ * @param {Array<{document: object, chunk: {text: string, vector: number[]}, chunkIndex: number}>} candidates 候选片段
+ */
+function rankByCosine(vector, candidates, topK) {
+    return candidates
+        .map(({ document, chunk, chunkIndex }) => ({
+            documentId: document.id,
+            title: document.title,
+            text: chunk.text,
+            chunkIndex,
+            score: cosineSimilarity(vector, chunk.vector),
+        }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK);
+}
+
+/**
+ * 解析 CSV，支持双引号包裹的字段（字段内可包含逗号、换行和 "" 转义的引号）
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+/**
+ * 将过长的文本按句子切分，单句仍超过 chunkSize 时按长度切分，相邻片段保留 overlap 个字符的重叠
+ */
+function splitLongText(text, chunkSize, overlap) {
+    const sentences = text.match(/[^。！？!?\n]+[。！？!?\n]*/g) || [text];
+    const pieces = [];
+    let current = '';
+
+    for (const sentence of sentences) {
+        if (current && current.length + sentence.length > chunkSize) {
+            pieces.push(current.trim());
+            current = current.slice(-overlap);
+        }
+
+        if (sentence.length > chunkSize) {
+            const step = Math.max(chunkSize - overlap, 1);
+            for (let start = 0; start < sentence.length; start += step) {
+                pieces.push(sentence.slice(start, start + chunkSize).trim());
+            }
+            current = '';
+        } else {
+            current += sentence;
+        }
+    }
+
+    if (current.trim()) {
+        pieces.push(current.trim());
+    }
+
+    return pieces.filter(Boolean);
+}
+
+/**
+ * 按段落合并文本，每段不超过 chunkSize 个字符
+ */
+function splitText(text, chunkSize, overlap) {
+    const paragraphs = text
+        .split(/\n\s*\n/)
+        .map(paragraph => paragraph.trim())
+        .filter(Boolean);
+    const chunks = [];
+    let current = '';
+
+    for (const paragraph of paragraphs) {
+        if (paragraph.length > chunkSize) {
+            if (current) chunks.push(current);
+            current = '';
+            chunks.push(...splitLongText(paragraph, chunkSize, overlap));
+        } else if (current && current.length + paragraph.length + 2 > chunkSize) {
+            chunks.push(current);
+            current = paragraph;
+        } else {
+            current = current ? `${current}\n\n${paragraph}` : paragraph;
+        }
+    }
+
+    if (current) {
+        chunks.push(current);
+    }
+
+    return chunks;
+}
+
+/**
+ * 按标题切分 Markdown，每个片段带上所属标题
+ */
+function splitMarkdownSections(content) {
+    const sections = [];
+    let heading = '';
+    let lines = [];
+
+    for (const line of content.split('\n')) {
+        const match = /^#{1,6}\s+(.*)$/.exec(line);
+        if (match) {
+            sections.push({ heading, text: lines.join('\n') });
+            heading = match[1].trim();
+            lines = [];
+        } else {
+            lines.push(line);
+        }
+    }
+    sections.push({ heading, text: lines.join('\n') });
+
+    return sections.filter(section => section.text.trim());
+}
+
+/**
+ * 将 FAQ CSV 的每一行（问题,答案）转为一个片段，第一行为表头时跳过
+ */
+function splitFaq(content) {
+    const rows = parseCsv(content);
+    if (rows.length > 0 && /^(question|问题|q)$/i.test(rows[0][0].trim())) {
+        rows.shift();
+    }
+
+    return rows
+        .filter(([question, answer]) => question?.trim() && answer?.trim())
+        .map(([question, answer]) => `问：${question.trim()}\n答：${answer.trim()}`);
+}
+
+/**
+ * 将文档切分为片段
+ * @param {string} content 文档内容
+ * @param {string} format 文档格式，见 DocumentFormat
+ * @param {object} options chunkSize: 片段最大字数, overlap: 长文本切分时相邻片段的重叠字数
+ * @returns {string[]}
+ */
+export function chunkDocument(content, format = DocumentFormat.TEXT, options = {}) {
+    const chunkSize = options.chunkSize || 500;
+    const overlap = options.overlap ?? 50;
+    const text = (content || '').replace(/\r\n/g, '\n');
+
+    if (format === DocumentFormat.FAQ) {
+        return splitFaq(text);
+    }
+
+    const sections = format === DocumentFormat.MARKDOWN ? splitMarkdownSections(text) : [{ heading: '', text }];
+
+    return sections.flatMap(section =>
+        splitText(section.text, chunkSize, overlap).map(piece =>
+            section.heading ? `${section.heading}\n${piece}` : piece,
+        ),
+    );
+}
+
+/**
+ * 读取 KV 中指定前缀的全部 JSON 值
+ */
+async function listKVValues(kv, prefix) {
+    const values = [];
+    let cursor;
+
+    do {
+        const result = await kv.list({ prefix, cursor });
+        const pageValues = await Promise.all(result.keys.map(({ name }) => kv.get(name)));
+        values.push(...pageValues.filter(Boolean).map(value => JSON.parse(value)));
+        cursor = result.list_complete ? null : result.cursor;
+    } while (cursor);
+
+    return values;
+}
+
+/**
+ * 内存向量存储，暴力计算余弦相似度，用于本地测试
+ */
+export class MemoryVectorStore {
+    constructor() {
+        this.documents = new Map();
+    }
+
+    async upsertDocument(document, chunks) {
+        this.documents.set(document.id, { document: { ...document, chunkCount: chunks.length }, chunks });
+    }
+
+    async deleteDocument(documentId) {
+        return this.documents.delete(documentId);
+    }
+
+    async listDocuments() {
+        return [...this.documents.values()].map(({ document }) => document);
+    }
+
+    async query(vector, topK) {
+        const candidates = [...this.documents.values()].flatMap(({ document, chunks }) =>
+            chunks.map((chunk, chunkIndex) => ({ document, chunk, chunkIndex })),
+        );
+        return rankByCosine(vector, candidates, topK);
+    }
+}
+
+/**
+ * KV 向量存储，每个文档的片段和向量保存在一个 KV 键中，检索时读取全部文档暴力计算余弦相似度
+ * 适合几十个文档以内的小型知识库，更大的知识库请使用 Vectorize
+ */
+export class KVVectorStore {
+    /**
+     * @param {KVNamespace} kv KV 存储
+     */
+    constructor(kv, options = {}) {
+        this.kv = kv;
+        this.keyPrefix = options.keyPrefix || 'knowledge_doc';
+    }
+
+    getDocumentKey(documentId) {
+        return `${this.keyPrefix}:${documentId}`;
+    }
+
+    async upsertDocument(document, chunks) {
+        const value = {
+            document: { ...document, chunkCount: chunks.length },
+            // 降低精度以减小存储体积
+            chunks: chunks.map(chunk => ({
+                text: chunk.text,
+                vector: chunk.vector.map(value => Math.round(value * 1e6) / 1e6),
+            })),
+        };
+        await this.kv.put(this.getDocumentKey(document.id), JSON.stringify(value));
+    }
+
+    async deleteDocument(documentId) {
+        const key = this.getDocumentKey(documentId);
+        if (!(await this.kv.get(key))) {
+            return false;
+        }
+        await this.kv.delete(key);
+        return true;
+    }
+
+    /**
+     * 读取全部文档（含片段和向量）
+     */
+    async loadDocuments() {
+        return listKVValues(this.kv, `${this.keyPrefix}:`);
+    }
+
+    async listDocuments() {
+        return (await this.loadDocuments()).map(({ document }) => document);
+    }
+
+    async query(vector, topK) {
+        const candidates = (await this.loadDocuments()).flatMap(({ document, chunks }) =>
+            chunks.map((chunk, chunkIndex) => ({ document, chunk, chunkIndex })),
+        );
+        return rankByCosine(vector, candidates, topK);
+    }
+}
+
+/**
+ * Cloudflare Vectorize 向量存储
+ * 向量 ID 为 文档ID#片段序号，片段内容保存在向量元数据中，文档信息保存在 KV 中用于列表和删除
+ */
+export class VectorizeStore {
+    /**
+     * @param {VectorizeIndex} index Vectorize 索引绑定
+     * @param {KVNamespace} kv 保存文档信息的 KV 存储
+     */
+    constructor(index, kv, options = {}) {
+        this.index = index;
+        this.kv = kv;
+        this.keyPrefix = options.keyPrefix || 'knowledge_doc';
+    }
+
+    getDocumentKey(documentId) {
+        return `${this.keyPrefix}:${documentId}`;
+    }
+
+    getVectorIds(documentId, chunkCount) {
+        return Array.from({ length: chunkCount }, (_, i) => `${documentId}#${i}`);
+    }
+
+    async upsertDocument(document, chunks) {
+        // 删除旧版本中多出的片段
+        await this.deleteDocument(document.id);
+
+        const vectors = chunks.map((chunk, i) => ({
+            id: `${document.id}#${i}`,
+            values: chunk.vector,
+            metadata: { documentId: document.id, title: document.title, text: chunk.text, chunkIndex: i },
+        }));
+
+        // Vectorize 单次最多写入 1000 个向量
+        for (let i = 0; i < vectors.length; i += 1000) {
+            await this.index.upsert(vectors.slice(i, i + 1000));
+        }
+
+        await this.kv.put(this.getDocumentKey(document.id), JSON.stringify({ ...document, chunkCount: chunks.length }));
+    }
+
+    async deleteDocument(documentId) {
+        const stored = await this.kv.get(this.getDocumentKey(documentId));
+        if (!stored) {
+            return false;
+        }
+
+        const { chunkCount } = JSON.parse(stored);
+        const ids = this.getVectorIds(documentId, chunkCount);
+        for (let i = 0; i < ids.length; i += 1000) {
+            await this.index.deleteByIds(ids.slice(i, i + 1000));
+        }
+
+        await this.kv.delete(this.getDocumentKey(documentId));
+        return true;
+    }
+
+    async listDocuments() {
+        return listKVValues(this.kv, `${this.keyPrefix}:`);
+    }
+
+    async query(vector, topK) {
+        const { matches } = await this.index.query(vector, { topK, returnMetadata: 'all' });
+
+        return matches.map(match => ({
+            documentId: match.metadata?.documentId,
+            title: match.metadata?.title,
+            text: match.metadata?.text,
+            chunkIndex: match.metadata?.chunkIndex,
+            score: match.score,
+        }));
+    }
+}
+
+/**
+ * 知识库
+ */
+export class KnowledgeBase {
+    /**
+     * @param {object} store 向量存储（MemoryVectorStore、KVVectorStore 或 VectorizeStore）
+     * @param {OpenAIClient} embeddingClient 文本向量客户端
+     * @param {object} options topK: 检索片段数, minScore: 最低相似度, chunkSize, overlap, embeddingModel, dimensions
+     */
+    constructor(store, embeddingClient, options = {}) {
+        this.store = store;
+        this.embeddingClient = embeddingClient;
+        this.topK = options.topK || 3;
+        this.minScore = options.minScore ?? 0.3;
+        this.chunkSize = options.chunkSize || 500;
+        this.overlap = options.overlap ?? 50;
+        this.embeddingModel = options.embeddingModel;
+        this.dimensions = options.dimensions;
+    }
+
+    /**
+     * 从环境变量创建实例，配置了 KNOWLEDGE_INDEX（Vectorize 绑定）时使用 Vectorize，否则使用 CONVERSATIONS KV
+     */
+    static fromEnv(env) {
+        const config = getEmbeddingConfig(env);
+        const store = env.KNOWLEDGE_INDEX
+            ? new VectorizeStore(env.KNOWLEDGE_INDEX, env.CONVERSATIONS)
+            : new KVVectorStore(env.CONVERSATIONS);
+
+        return new KnowledgeBase(store, new OpenAIClient(config), {
+            topK: env.KNOWLEDGE_TOP_K ? parseInt(env.KNOWLEDGE_TOP_K) : undefined,
+            minScore: env.KNOWLEDGE_MIN_SCORE ? parseFloat(env.KNOWLEDGE_MIN_SCORE) : undefined,
+            chunkSize: env.KNOWLEDGE_CHUNK_SIZE ? parseInt(env.KNOWLEDGE_CHUNK_SIZE) : undefined,
+            embeddingModel: config.model,
+            dimensions: config.dimensions,
+        });
+    }
+
+    /**
+     * 生成文本向量，每批最多 100 条
+     */
+    async embed(texts) {
+        const vectors = [];
+        for (let i = 0; i < texts.length; i += 100) {
+            const { data } = await this.embeddingClient.createEmbeddings({
+                input: texts.slice(i, i + 100),
+                model: this.embeddingModel,
+                dimensions: this.dimensions,
+            });
+            vectors.push(...[...data].sort((a, b) => a.index - b.index).map(item => item.embedding));
+        }
+        return vectors;
+    }
+
+    /**
+     * 添加或替换文档
+     * @param {object} document id: 文档ID（为空时自动生成）, title: 标题, content: 内容, format: 格式
+     * @returns {Promise<object>} 文档信息
+     */
+    async addDocument({ id, title, content, format = DocumentFormat.TEXT }) {
+        if (!Object.values(DocumentFormat).includes(format)) {
+            throw new Error(`不支持的文档格式: ${format}`);
+        }
+
+        const texts = chunkDocument(content, format, { chunkSize: this.chunkSize, overlap: this.overlap });
+        if (texts.length === 0) {
+            throw new Error('文档内容为空');
+        }
+
+        const vectors = await this.embed(texts);
+        const document = {
+            id: id || crypto.randomUUID(),
+            title: title || '未命名文档',
+            format,
+            createdAt: new Date().toISOString(),
+        };
+
+        await this.store.upsertDocument(
+            document,
+            texts.map((text, i) => ({ text, vector: vectors[i] })),
+        );
+
+        return { ...document, chunkCount: texts.length };
+    }
+
+    async deleteDocument(documentId) {
+        return this.store.deleteDocument(documentId);
+    }
+
+    async listDocuments() {
+        return this.store.listDocuments();
+    }
+
+    /**
+     * 检索与问题最相关的片段，过滤掉相似度低于 minScore 的结果
+     */
+    async search(query, topK = this.topK) {
+        const [vector] = await this.embed([query]);
+        const results = await this.store.query(vector, topK);
+        return results.filter(result => result.score >= this.minScore);
+    }
+
+    /**
+     * 将检索结果格式化为追加到系统提示词中的参考资料，按编号引用
+     */
+    static formatContext(results) {
+        if (results.length === 0) {
+            return '';
+        }
+
+        const sources = results.map((result, i) => `[${i + 1}]《${result.title}》\n${result.text}`).join('\n\n');
+        return [
+            '请优先根据以下参考资料回答，使用资料内容时在句末标注来源编号，如[1]；资料中没有的信息请如实告知，不要编造。',
+            sources,
+        ].join('\n\n');
+    }
+}
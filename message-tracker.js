@@ -8,6 +8,10 @@ export class MessageTracker {
         this.kv = kv;
         this.expirationTtl = options.expirationTtl || 86400; // 24小时过期
         this.keyPrefix = options.keyPrefix || 'processed_msg';
+        this.sentKeyPrefix = options.sentKeyPrefix || 'sent_msg';
+        this.ruleHitKeyPrefix = options.ruleHitKeyPrefix || 'rule_hit';
+        // 规则命中统计在最近一次命中后保留的时间，默认 90 天
+        this.ruleHitTtl = options.ruleHitTtl || 90 * 86400;
     }
 
     /**
@@ -56,6 +60,31 @@ export class MessageTracker {
         }
     }
 
+    /**
+     * 标记消息为处理中
+     * 在调用 AI 之前写入，使并发回调中的其他请求跳过该消息，处理完成后由 markMessageAsProcessed 覆盖
+     */
+    async markMessageAsProcessing(msgId, metadata = {}) {
+        try {
+            const key = this.getMessageKey(msgId);
+            const data = {
+                msgId,
+                status: 'processing',
+                timestamp: Date.now(),
+                ...metadata,
+            };
+
+            await this.kv.put(key, JSON.stringify(data), {
+                expirationTtl: this.expirationTtl,
+            });
+
+            return true;
+        } catch (error) {
+            console.error('标记消息处理中状态失败:', error);
+            return false;
+        }
+    }
+
     /**
      * 获取消息处理信息
      */
@@ -75,6 +104,85 @@ export class MessageTracker {
         }
     }
 
+    /**
+     * 记录已发送的消息，用于 msg_send_fail 事件时查找原消息重试
+     */
+    async recordSentMessage(sentMsgId, data = {}) {
+        if (!sentMsgId) {
+            return false;
+        }
+
+        try {
+            const key = `${this.sentKeyPrefix}:${sentMsgId}`;
+            await this.kv.put(key, JSON.stringify({ sentMsgId, sentAt: Date.now(), ...data }), {
+                expirationTtl: this.expirationTtl,
+            });
+            return true;
+        } catch (error) {
+            console.error('记录已发送消息失败:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 获取已发送的消息记录
+     */
+    async getSentMessage(sentMsgId) {
+        try {
+            const result = await this.kv.get(`${this.sentKeyPrefix}:${sentMsgId}`);
+            return result ? JSON.parse(result) : null;
+        } catch (error) {
+            console.error('获取已发送消息记录失败:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 记录自动回复规则的命中次数和最近一次命中的消息
+     * KV 不支持原子递增，并发命中时次数可能略少
+     */
+    async recordRuleHit(ruleId, data = {}) {
+        try {
+            const key = `${this.ruleHitKeyPrefix}:${ruleId}`;
+            const hits = (await this.getRuleHits(ruleId)) || { ruleId, count: 0 };
+            await this.kv.put(
+                key,
+                JSON.stringify({ ...hits, count: hits.count + 1, lastHitAt: new Date().toISOString(), lastHit: data }),
+                { expirationTtl: this.ruleHitTtl },
+            );
+            return true;
+        } catch (error) {
+            console.error('记录规则命中失败:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 获取自动回复规则的命中统计
+     */
+    async getRuleHits(ruleId) {
+        try {
+            const result = await this.kv.get(`${this.ruleHitKeyPrefix}:${ruleId}`);
+            return result ? JSON.parse(result) : null;
+        } catch (error) {
+            console.error('获取规则命中统计失败:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 删除自动回复规则的命中统计
+     */
+    async deleteRuleHits(ruleId) {
+        try {
+            await this.kv.delete(`${this.ruleHitKeyPrefix}:${ruleId}`);
+            return true;
+        } catch (error) {
+            console.error('删除规则命中统计失败:', error);
+            return false;
+        }
+    }
+
     /**
      * 批量检查消息处理状态
      */
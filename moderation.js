@@ -0,0 +1,197 @@
+/**
+ * 内容审核
+ * 用户消息发给 AI 前、AI 回复发给用户前检查是否包含敏感内容：先匹配关键词 / 正则黑名单，
+ * 再按配置调用 OpenAI 兼容的 /v1/moderations 接口
+ */
+import { OpenAIClient } from './clients.js';
+import { getModerationConfig } from './config.js';
+
+/**
+ * 审核方向
+ */
+export const ModerationDirection = {
+    INPUT: 'input',
+    OUTPUT: 'output',
+};
+
+/**
+ * 远程词表缓存，同一 Worker 实例内复用
+ */
+const remoteBlocklists = new Map();
+
+/**
+ * 统一全角半角和大小写，去掉空白和标点，避免用“敏 感 词”“敏*感*词”等方式绕过关键词
+ */
+function normalizeText(text) {
+    return text
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/[\s\p{P}\p{S}]/gu, '');
+}
+
+/**
+ * 解析黑名单，关键词以逗号或换行分隔，/pattern/flags 形式的条目为正则表达式（需单独一行或以逗号分隔且不含逗号）
+ */
+function parseBlocklist(text) {
+    const keywords = [];
+    const patterns = [];
+    const entries = (text || '')
+        .split('\n')
+        .flatMap(line => (/^\s*\/.+\/[a-z]*\s*$/.test(line) ? [line] : line.split(/[,，]/)));
+
+    for (const entry of entries) {
+        const term = entry.trim();
+        if (!term || term.startsWith('#')) {
+            continue;
+        }
+
+        const regex = /^\/(.+)\/([a-z]*)$/.exec(term);
+        if (regex) {
+            try {
+                patterns.push(new RegExp(regex[1], regex[2]));
+            } catch (error) {
+                console.warn(`忽略无效的正则表达式 ${term}: ${error.message}`);
+            }
+            continue;
+        }
+
+        const keyword = normalizeText(term);
+        if (keyword) {
+            keywords.push(keyword);
+        }
+    }
+
+    return { keywords, patterns };
+}
+
+export class ContentModerator {
+    /**
+     * @param {object} options blocklist: 黑名单文本, blocklistUrl: 远程词表地址（每行一个词）, blocklistTtl: 远程词表缓存时间（秒）,
+     *                         moderationClient: 审核接口客户端, model: 审核模型, inputReply / outputReply: 输入、输出被拦截时的回复,
+     *                         streamInterval: 流式回复每隔几段调用一次审核接口
+     */
+    constructor(options = {}) {
+        this.blocklist = parseBlocklist(options.blocklist);
+        this.blocklistUrl = options.blocklistUrl || null;
+        this.blocklistTtl = options.blocklistTtl || 3600;
+        this.moderationClient = options.moderationClient || null;
+        this.model = options.model;
+        this.inputReply = options.inputReply || '抱歉，您的消息包含不适宜的内容，无法为您处理。';
+        this.outputReply = options.outputReply || '抱歉，这个问题我暂时无法回答，请换个问题或联系人工客服。';
+        this.streamInterval = Math.max(options.streamInterval || 3, 1);
+    }
+
+    /**
+     * 从环境变量创建实例
+     * MODERATION_API=true 时调用审核接口
+     */
+    static fromEnv(env) {
+        const config = env.MODERATION_API === 'true' ? getModerationConfig(env) : null;
+
+        return new ContentModerator({
+            blocklist: env.MODERATION_BLOCKLIST,
+            blocklistUrl: env.MODERATION_BLOCKLIST_URL,
+            blocklistTtl: env.MODERATION_BLOCKLIST_TTL ? parseInt(env.MODERATION_BLOCKLIST_TTL) : undefined,
+            moderationClient: config ? new OpenAIClient(config) : null,
+            model: config?.model,
+            inputReply: env.MODERATION_INPUT_REPLY,
+            outputReply: env.MODERATION_OUTPUT_REPLY,
+            streamInterval: env.MODERATION_STREAM_INTERVAL ? parseInt(env.MODERATION_STREAM_INTERVAL) : undefined,
+        });
+    }
+
+    /**
+     * 是否配置了审核
+     */
+    get enabled() {
+        return (
+            this.blocklist.keywords.length > 0 ||
+            this.blocklist.patterns.length > 0 ||
+            Boolean(this.blocklistUrl) ||
+            Boolean(this.moderationClient)
+        );
+    }
+
+    /**
+     * 获取远程词表，下载失败时使用上次的结果
+     */
+    async getRemoteBlocklist() {
+        const cached = remoteBlocklists.get(this.blocklistUrl);
+        if (cached && Date.now() < cached.expiresAt) {
+            return cached.blocklist;
+        }
+
+        try {
+            const response = await fetch(this.blocklistUrl, { signal: AbortSignal.timeout(10000) });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const blocklist = parseBlocklist(await response.text());
+            remoteBlocklists.set(this.blocklistUrl, { blocklist, expiresAt: Date.now() + this.blocklistTtl * 1000 });
+            return blocklist;
+        } catch (error) {
+            console.error('下载敏感词表失败:', error);
+            return cached?.blocklist || { keywords: [], patterns: [] };
+        }
+    }
+
+    /**
+     * 匹配黑名单
+     * @returns {object|null} 命中的条目 { term }
+     */
+    matchBlocklist(text, { keywords, patterns }) {
+        const normalized = normalizeText(text);
+        const keyword = keywords.find(term => normalized.includes(term));
+        if (keyword) {
+            return { term: keyword };
+        }
+
+        const pattern = patterns.find(regex => {
+            regex.lastIndex = 0;
+            return regex.test(text);
+        });
+        return pattern ? { term: pattern.toString() } : null;
+    }
+
+    /**
+     * 检查文本
+     * 审核接口出错时只记录日志并放行，避免审核服务故障导致客服不可用
+     * @param {string} direction 审核方向，记录在结果中
+     * @param {object} options api: 是否调用审核接口，为 false 时只检查黑名单
+     * @returns {Promise<{flagged: boolean, direction?: string, source?: string, term?: string, categories?: string[]}>}
+     */
+    async check(text, direction = ModerationDirection.INPUT, { api = true } = {}) {
+        if (!text || !this.enabled) {
+            return { flagged: false };
+        }
+
+        for (const blocklist of [this.blocklist, ...(this.blocklistUrl ? [await this.getRemoteBlocklist()] : [])]) {
+            const match = this.matchBlocklist(text, blocklist);
+            if (match) {
+                return { flagged: true, direction, source: 'blocklist', term: match.term };
+            }
+        }
+
+        if (this.moderationClient && api) {
+            try {
+                const { results } = await this.moderationClient.createModeration({ input: text, model: this.model });
+                const result = results?.[0];
+                if (result?.flagged) {
+                    return {
+                        flagged: true,
+                        direction,
+                        source: 'api',
+                        categories: Object.entries(result.categories || {})
+                            .filter(([, flagged]) => flagged)
+                            .map(([category]) => category),
+                    };
+                }
+            } catch (error) {
+                console.error('调用内容审核接口失败:', error);
+            }
+        }
+
+        return { flagged: false };
+    }
+}
@@ -0,0 +1,159 @@
+/**
+ * 客服账号人设配置
+ * 按 open_kfid 在 Cloudflare KV 中保存系统提示词、模型、温度、历史长度、欢迎语等，未配置的字段使用环境变量默认值
+ */
+
+/**
+ * 可配置的字段及校验规则
+ */
+const PERSONA_FIELDS = {
+    name: { type: 'string' },
+    systemPrompt: { type: 'string' },
+    model: { type: 'string' },
+    temperature: { type: 'number', min: 0, max: 2 },
+    maxHistoryLength: { type: 'integer', min: 1, max: 200 },
+    expirationTtl: { type: 'integer', min: 60 },
+    welcomeMessage: { type: 'string' },
+    fallbackMessage: { type: 'string' },
+    commands: { type: 'array' },
+};
+
+export const DEFAULT_FALLBACK_MESSAGE = '抱歉，AI服务暂时不可用，请稍后再试。';
+
+export class PersonaStore {
+    /**
+     * @param {KVNamespace} kv KV 存储
+     */
+    constructor(kv, options = {}) {
+        this.kv = kv;
+        this.keyPrefix = options.keyPrefix || 'persona';
+    }
+
+    /**
+     * 环境变量中的默认人设
+     */
+    static getDefaults(env) {
+        return {
+            systemPrompt: env.SYSTEM_PROMPT || 'you are helpful assistant',
+            model: null, // 为空时使用 AI 服务配置的模型
+            temperature: env.AI_TEMPERATURE ? parseFloat(env.AI_TEMPERATURE) : 0.7,
+            // 条数上限，实际长度还受模型上下文窗口限制
+            maxHistoryLength: env.MAX_HISTORY_LENGTH ? parseInt(env.MAX_HISTORY_LENGTH) : 50,
+            expirationTtl: env.CONVERSATION_TTL ? parseInt(env.CONVERSATION_TTL) : 86400, // 默认 24小时
+            welcomeMessage: env.WELCOME_MESSAGE || null,
+            fallbackMessage: env.FALLBACK_MESSAGE || DEFAULT_FALLBACK_MESSAGE,
+            commands: null, // 为空时使用 COMMANDS 环境变量
+        };
+    }
+
+    /**
+     * 校验并整理人设字段，忽略未知字段，值为 null 表示恢复默认
+     * @throws {Error} 字段类型或取值范围不正确
+     */
+    static validate(input) {
+        const persona = {};
+
+        for (const [field, rule] of Object.entries(PERSONA_FIELDS)) {
+            const value = input[field];
+            if (value === undefined || value === null || value === '') {
+                continue;
+            }
+
+            if (rule.type === 'string') {
+                if (typeof value !== 'string') {
+                    throw new Error(`${field} 必须为字符串`);
+                }
+            } else if (rule.type === 'array') {
+                if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+                    throw new Error(`${field} 必须为字符串数组`);
+                }
+            } else {
+                if (typeof value !== 'number' || Number.isNaN(value)) {
+                    throw new Error(`${field} 必须为数字`);
+                }
+                if (rule.type === 'integer' && !Number.isInteger(value)) {
+                    throw new Error(`${field} 必须为整数`);
+                }
+                if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+                    throw new Error(`${field} 超出取值范围 ${rule.min ?? ''}~${rule.max ?? ''}`);
+                }
+            }
+
+            persona[field] = value;
+        }
+
+        return persona;
+    }
+
+    /**
+     * 生成人设的 KV 键
+     */
+    getPersonaKey(openKfid) {
+        return `${this.keyPrefix}:${openKfid}`;
+    }
+
+    /**
+     * 获取保存的人设，未配置时返回 null
+     */
+    async get(openKfid) {
+        try {
+            const stored = await this.kv.get(this.getPersonaKey(openKfid));
+            return stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            console.error('读取人设失败:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 获取客服账号的完整人设（保存的配置覆盖环境变量默认值）
+     */
+    async resolve(openKfid, env) {
+        const stored = openKfid ? await this.get(openKfid) : null;
+        return { ...PersonaStore.getDefaults(env), ...stored, openKfid };
+    }
+
+    /**
+     * 保存人设
+     * @returns {Promise<object>} 保存后的人设
+     */
+    async save(openKfid, input) {
+        const persona = {
+            ...PersonaStore.validate(input),
+            openKfid,
+            updatedAt: new Date().toISOString(),
+        };
+        await this.kv.put(this.getPersonaKey(openKfid), JSON.stringify(persona));
+        return persona;
+    }
+
+    /**
+     * 删除人设，恢复为环境变量默认值
+     * @returns {Promise<boolean>} 是否存在并已删除
+     */
+    async delete(openKfid) {
+        const key = this.getPersonaKey(openKfid);
+        if (!(await this.kv.get(key))) {
+            return false;
+        }
+        await this.kv.delete(key);
+        return true;
+    }
+
+    /**
+     * 列出全部已保存的人设
+     */
+    async list() {
+        const personas = [];
+        let cursor;
+
+        do {
+            const result = await this.kv.list({ prefix: `${this.keyPrefix}:`, cursor });
+            const values = await Promise.all(result.keys.map(({ name }) => this.kv.get(name)));
+            personas.push(...values.filter(Boolean).map(value => JSON.parse(value)));
+            cursor = result.list_complete ? null : result.cursor;
+        } while (cursor);
+
+        return personas;
+    }
+}
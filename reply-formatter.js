@@ -0,0 +1,278 @@
+/**
+ * 回复格式化
+ * 微信客服的文本消息不支持 Markdown，发送前将标题、列表、强调、表格、代码块转换为纯文本，
+ * 链接转换为文字或单独的图文链接消息，并移除推理模型输出的 <think> 思考过程
+ */
+
+const NUMBER_EMOJIS = ['0️⃣', '1️⃣', '2️⃣', '3️⃣', '4️⃣', '5️⃣', '6️⃣', '7️⃣', '8️⃣', '9️⃣', '🔟'];
+
+const THINK_OPEN = '<think>';
+const THINK_CLOSE = '</think>';
+
+/**
+ * 回复中链接的处理方式
+ */
+export const LinkMode = {
+    // 链接转换为“标题（地址）”
+    TEXT: 'text',
+    // 正文只保留标题，链接以图文链接消息单独发送
+    CARD: 'card',
+};
+
+/**
+ * 移除 <think> 思考过程，部分服务只返回结束标签，此时移除结束标签之前的全部内容
+ */
+export function stripThinking(text) {
+    if (!text) {
+        return text;
+    }
+
+    let result = text.replace(/<think>[\s\S]*?<\/think>/g, '');
+
+    const closeIndex = result.indexOf(THINK_CLOSE);
+    if (closeIndex !== -1) {
+        result = result.slice(closeIndex + THINK_CLOSE.length);
+    }
+
+    // 未结束的思考过程（如回复被截断）
+    const openIndex = result.indexOf(THINK_OPEN);
+    if (openIndex !== -1) {
+        result = result.slice(0, openIndex);
+    }
+
+    return result.trim();
+}
+
+/**
+ * 流式输出的思考过程过滤器，标签可能被拆分在多个片段中
+ */
+export class ThinkingFilter {
+    constructor() {
+        this.thinking = false;
+        this.pending = '';
+    }
+
+    /**
+     * 文本末尾可能是标签开头的部分长度
+     */
+    static partialTagLength(text, tag) {
+        for (let length = Math.min(tag.length - 1, text.length); length > 0; length--) {
+            if (text.endsWith(tag.slice(0, length))) {
+                return length;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * 追加片段
+     * @returns {string} 思考过程以外可以输出的文本
+     */
+    push(delta) {
+        let text = this.pending + delta;
+        let output = '';
+        this.pending = '';
+
+        while (text) {
+            const tag = this.thinking ? THINK_CLOSE : THINK_OPEN;
+            const index = text.indexOf(tag);
+
+            if (index !== -1) {
+                if (!this.thinking) {
+                    output += text.slice(0, index);
+                }
+                text = text.slice(index + tag.length);
+                this.thinking = !this.thinking;
+                continue;
+            }
+
+            // 末尾可能是被拆分的标签，留到下一个片段再判断
+            const keep = ThinkingFilter.partialTagLength(text, tag);
+            if (!this.thinking) {
+                output += text.slice(0, text.length - keep);
+            }
+            this.pending = text.slice(text.length - keep);
+            break;
+        }
+
+        return output;
+    }
+
+    /**
+     * 输出结束，返回剩余的文本
+     */
+    flush() {
+        const rest = this.thinking ? '' : this.pending;
+        this.pending = '';
+        return rest;
+    }
+}
+
+/**
+ * 拆分表格行的单元格
+ */
+function splitTableRow(line) {
+    return line
+        .trim()
+        .replace(/^\|/, '')
+        .replace(/\|$/, '')
+        .split('|')
+        .map(cell => cell.trim());
+}
+
+/**
+ * 转换行内格式：链接、图片、行内代码、粗体、斜体、删除线
+ * @param {object[]} links 卡片模式下收集的链接 { title, url }
+ */
+function formatInline(text, links, linkMode) {
+    // 行内代码原样保留，先替换为占位符，避免其中的符号被当作格式处理
+    const codes = [];
+    let result = text.replace(/`([^`]+)`/g, (_, code) => {
+        codes.push(code);
+        return `\u0000${codes.length - 1}\u0000`;
+    });
+
+    const formatLink = (title, url) => {
+        if (linkMode === LinkMode.CARD) {
+            links.push({ title: title || url, url });
+            return title || url;
+        }
+        return !title || title === url ? url : `${title}（${url}）`;
+    };
+
+    result = result
+        .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g, (_, alt, url) => formatLink(alt || '图片', url))
+        .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g, (_, title, url) => formatLink(title, url))
+        .replace(/<(https?:\/\/[^>\s]+)>/g, '$1')
+        .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, '$2')
+        .replace(/(^|[^*\w])\*(?=\S)([^*]+?)(?<=\S)\*(?!\*)/g, '$1$2')
+        .replace(/(^|[^_\w])_(?=\S)([^_]+?)(?<=\S)_(?![_\w])/g, '$1$2')
+        .replace(/~~(.+?)~~/g, '$1')
+        .replace(/\\([\\`*_{}[\]()#+\-.!|>~])/g, '$1');
+
+    return result.replace(/\u0000(\d+)\u0000/g, (_, index) => codes[index]);
+}
+
+/**
+ * 将 Markdown 转换为适合微信阅读的纯文本
+ * @param {string} linkMode 链接处理方式
+ * @returns {{text: string, links: object[]}} 纯文本及卡片模式下提取的链接
+ */
+export function markdownToText(markdown, linkMode = LinkMode.TEXT) {
+    const lines = markdown.replace(/\r\n/g, '\n').split('\n');
+    const output = [];
+    const links = [];
+    const inline = text => formatInline(text, links, linkMode);
+    let inCode = false;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        // 代码块去掉围栏，内容原样保留
+        if (/^\s*(```|~~~)/.test(line)) {
+            inCode = !inCode;
+            continue;
+        }
+        if (inCode) {
+            output.push(line);
+            continue;
+        }
+
+        // 表格每行转换为“表头：值”
+        if (line.includes('|') && /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(lines[i + 1] || '')) {
+            const headers = splitTableRow(line).map(inline);
+            i += 2;
+            for (; i < lines.length && lines[i].includes('|'); i++) {
+                const cells = splitTableRow(lines[i]).map(inline);
+                output.push(
+                    `🔸 ${cells
+                        .map((cell, index) => (headers[index] ? `${headers[index]}：${cell}` : cell))
+                        .join('，')}`,
+                );
+            }
+            i--;
+            continue;
+        }
+
+        const heading = /^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/.exec(line);
+        if (heading) {
+            output.push(`【${inline(heading[1])}】`);
+            continue;
+        }
+
+        // 分隔线
+        if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            output.push('');
+            continue;
+        }
+
+        const quote = /^\s*>\s?(.*)$/.exec(line);
+        if (quote) {
+            output.push(`｜${inline(quote[1])}`);
+            continue;
+        }
+
+        const bullet = /^(\s*)[-*+]\s+(\[[ xX]\]\s+)?(.*)$/.exec(line);
+        if (bullet) {
+            const level = Math.floor(bullet[1].length / 2);
+            const task = bullet[2] && (/x/i.test(bullet[2]) ? '✅' : '⬜');
+            output.push(`${'  '.repeat(level)}${task || (level > 0 ? '▫️' : '🔹')} ${inline(bullet[3])}`);
+            continue;
+        }
+
+        const ordered = /^(\s*)(\d+)[.)]\s+(.*)$/.exec(line);
+        if (ordered) {
+            const level = Math.floor(ordered[1].length / 2);
+            const number = parseInt(ordered[2]);
+            const marker = level === 0 && number <= 10 ? NUMBER_EMOJIS[number] : `${number}.`;
+            output.push(`${'  '.repeat(level)}${marker} ${inline(ordered[3])}`);
+            continue;
+        }
+
+        output.push(inline(line));
+    }
+
+    return {
+        text: output
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim(),
+        links,
+    };
+}
+
+export class ReplyFormatter {
+    /**
+     * @param {object} options markdown: 是否转换 Markdown, linkMode: 链接处理方式
+     */
+    constructor(options = {}) {
+        this.markdown = options.markdown !== false;
+        this.linkMode = options.linkMode === LinkMode.CARD ? LinkMode.CARD : LinkMode.TEXT;
+    }
+
+    /**
+     * 从环境变量创建实例
+     * REPLY_FORMAT=markdown 时保留原始 Markdown，只移除思考过程；图文链接消息需要缩略图，未配置时链接转换为文字
+     */
+    static fromEnv(env) {
+        let linkMode = env.REPLY_LINK_MODE;
+        if (linkMode === LinkMode.CARD && !env.REPLY_LINK_THUMB_MEDIA_ID && !env.REPLY_LINK_THUMB_URL) {
+            console.warn('未配置 REPLY_LINK_THUMB_MEDIA_ID 或 REPLY_LINK_THUMB_URL，链接转换为文字');
+            linkMode = LinkMode.TEXT;
+        }
+
+        return new ReplyFormatter({
+            markdown: env.REPLY_FORMAT !== 'markdown',
+            linkMode,
+        });
+    }
+
+    /**
+     * 格式化回复
+     * @returns {{text: string, links: object[]}}
+     */
+    format(text) {
+        const visible = stripThinking(text || '');
+        return this.markdown ? markdownToText(visible, this.linkMode) : { text: visible, links: [] };
+    }
+}
@@ -0,0 +1,280 @@
+/**
+ * AI 回复缓存
+ * 按“客服账号 + 系统提示词 + 模型 + 规范化后的问题”缓存 AI 回复，重复的常见问题直接使用缓存，不再调用 AI
+ * 可选按文本向量相似度匹配意思相同、说法不同的问题；对话已有上下文时只有管理员指定的常见问题使用缓存
+ */
+import { OpenAIClient } from './clients.js';
+import { getEmbeddingConfig } from './config.js';
+import { cosineSimilarity } from './knowledge-base.js';
+
+/**
+ * 缓存命中方式
+ */
+export const CacheMatch = {
+    EXACT: 'exact',
+    SEMANTIC: 'semantic',
+};
+
+/**
+ * 规范化问题：统一全角半角和大小写，去掉空白、标点和末尾语气词
+ */
+function normalizeQuestion(text) {
+    return text
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/[\s\p{P}\p{S}]/gu, '')
+        .replace(/[吗呢啊呀吧嘛]+$/u, '');
+}
+
+/**
+ * SHA-256 摘要的前 16 位十六进制
+ */
+async function shortHash(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return [...new Uint8Array(digest).slice(0, 8)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+export class ResponseCache {
+    /**
+     * @param {KVNamespace} kv KV 存储
+     * @param {object} options ttl: 缓存时间（秒）, embeddingClient: 文本向量客户端（配置时启用相似问题匹配）,
+     *                         embeddingModel, dimensions, threshold: 相似度阈值, maxEntries: 每个客服账号人设最多索引的问题数,
+     *                         minLength: 可缓存问题的最少字数, faqs: 不依赖上下文、有上下文时也可以缓存的常见问题
+     */
+    constructor(kv, options = {}) {
+        this.kv = kv;
+        this.keyPrefix = options.keyPrefix || 'response_cache';
+        this.indexKeyPrefix = options.indexKeyPrefix || 'response_cache_index';
+        this.ttl = options.ttl || 86400;
+        this.embeddingClient = options.embeddingClient || null;
+        this.embeddingModel = options.embeddingModel;
+        this.dimensions = options.dimensions;
+        this.threshold = options.threshold ?? 0.92;
+        this.maxEntries = options.maxEntries || 500;
+        this.minLength = options.minLength || 4;
+        this.faqs = new Set((options.faqs || []).map(normalizeQuestion));
+        this.vectors = new Map();
+    }
+
+    /**
+     * 从环境变量创建实例，RESPONSE_CACHE=true 时启用，未启用时返回 null
+     * RESPONSE_CACHE_SEMANTIC=true 时按文本向量相似度匹配
+     */
+    static fromEnv(env) {
+        if (env.RESPONSE_CACHE !== 'true') {
+            return null;
+        }
+
+        const config = env.RESPONSE_CACHE_SEMANTIC === 'true' ? getEmbeddingConfig(env) : null;
+
+        return new ResponseCache(env.CONVERSATIONS, {
+            ttl: env.RESPONSE_CACHE_TTL ? parseInt(env.RESPONSE_CACHE_TTL) : undefined,
+            embeddingClient: config ? new OpenAIClient(config) : null,
+            embeddingModel: config?.model,
+            dimensions: config?.dimensions,
+            threshold: env.RESPONSE_CACHE_THRESHOLD ? parseFloat(env.RESPONSE_CACHE_THRESHOLD) : undefined,
+            maxEntries: env.RESPONSE_CACHE_MAX_ENTRIES ? parseInt(env.RESPONSE_CACHE_MAX_ENTRIES) : undefined,
+            faqs: env.RESPONSE_CACHE_FAQ
+                ? env.RESPONSE_CACHE_FAQ.split(',')
+                      .map(question => question.trim())
+                      .filter(Boolean)
+                : [],
+        });
+    }
+
+    /**
+     * 是否为管理员指定的常见问题，按规范化后的问题精确比较
+     */
+    isFaq(question) {
+        return this.faqs.has(normalizeQuestion(question));
+    }
+
+    /**
+     * 是否可以使用缓存：问题足够长，且对话中没有之前的消息或问题是管理员指定的常见问题
+     * “多少钱”“能退吗”等追问无法从字面判断是否依赖上下文，有上下文时不在常见问题列表中的问题一律不使用缓存
+     * @param {object[]} messages 本轮发给 AI 的消息列表（包含系统提示词和当前问题）
+     */
+    isCacheable(question, messages) {
+        if (!question || normalizeQuestion(question).length < this.minLength) {
+            return false;
+        }
+
+        const hasContext =
+            messages.slice(0, -1).some(message => message.role !== 'system') ||
+            messages.filter(message => message.role === 'system').length > 1;
+        return !hasContext || this.isFaq(question);
+    }
+
+    /**
+     * 缓存作用域：客服账号及其人设，修改系统提示词或模型后自动使用新的缓存
+     * @param {object} persona openKfid, systemPrompt: 替换变量后的系统提示词, model
+     */
+    async getScope({ openKfid, systemPrompt, model }) {
+        return `${openKfid || 'default'}:${await shortHash(JSON.stringify([systemPrompt, model]))}`;
+    }
+
+    /**
+     * 生成缓存的 KV 键
+     */
+    getEntryKey(scope, questionHash) {
+        return `${this.keyPrefix}:${scope}:${questionHash}`;
+    }
+
+    /**
+     * 生成相似问题索引的 KV 键
+     */
+    getIndexKey(scope) {
+        return `${this.indexKeyPrefix}:${scope}`;
+    }
+
+    /**
+     * 生成问题的文本向量，同一实例内相同的问题只生成一次
+     */
+    async embed(normalized) {
+        if (!this.vectors.has(normalized)) {
+            const { data } = await this.embeddingClient.createEmbeddings({
+                input: [normalized],
+                model: this.embeddingModel,
+                dimensions: this.dimensions,
+            });
+            this.vectors.set(normalized, data[0].embedding);
+        }
+        return this.vectors.get(normalized);
+    }
+
+    /**
+     * 读取相似问题索引，去掉已过期的条目
+     */
+    async getIndex(scope) {
+        const stored = await this.kv.get(this.getIndexKey(scope));
+        const entries = stored ? JSON.parse(stored) : [];
+        return entries.filter(entry => entry.expiresAt > Date.now());
+    }
+
+    /**
+     * 查找缓存的回复
+     * 出错时只记录日志并按未命中处理
+     * @returns {Promise<object|null>} { answer, links, question, match, score }
+     */
+    async get(question, persona) {
+        const normalized = normalizeQuestion(question);
+
+        try {
+            const scope = await this.getScope(persona);
+            const questionHash = await shortHash(normalized);
+            const exact = await this.kv.get(this.getEntryKey(scope, questionHash));
+            if (exact) {
+                return { ...JSON.parse(exact), match: CacheMatch.EXACT, score: 1 };
+            }
+
+            if (!this.embeddingClient) {
+                return null;
+            }
+
+            const vector = await this.embed(normalized);
+            const candidates = (await this.getIndex(scope))
+                .map(entry => ({ hash: entry.hash, score: cosineSimilarity(vector, entry.vector) }))
+                .filter(entry => entry.score >= this.threshold)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, 3);
+
+            // 缓存可能已被删除，依次尝试相似度最高的几条
+            for (const candidate of candidates) {
+                const entry = await this.kv.get(this.getEntryKey(scope, candidate.hash));
+                if (entry) {
+                    return { ...JSON.parse(entry), match: CacheMatch.SEMANTIC, score: candidate.score };
+                }
+            }
+            return null;
+        } catch (error) {
+            console.error('读取回复缓存失败:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 缓存回复，开启相似问题匹配时同时更新索引，超过 maxEntries 时移除最早的问题
+     * KV 不支持事务，并发写入时索引可能丢失少量问题，只影响相似匹配
+     * @param {object} reply answer: 回复文本, links: 卡片模式下的链接
+     */
+    async set(question, persona, { answer, links = [] }) {
+        const normalized = normalizeQuestion(question);
+
+        try {
+            const scope = await this.getScope(persona);
+            const questionHash = await shortHash(normalized);
+            const createdAt = new Date().toISOString();
+
+            await this.kv.put(
+                this.getEntryKey(scope, questionHash),
+                JSON.stringify({ question, answer, links, createdAt }),
+                {
+                    expirationTtl: this.ttl,
+                    metadata: { question, createdAt },
+                },
+            );
+
+            if (this.embeddingClient) {
+                const vector = await this.embed(normalized);
+                const index = (await this.getIndex(scope)).filter(entry => entry.hash !== questionHash);
+                index.push({ hash: questionHash, vector, expiresAt: Date.now() + this.ttl * 1000 });
+                await this.kv.put(this.getIndexKey(scope), JSON.stringify(index.slice(-this.maxEntries)), {
+                    expirationTtl: this.ttl,
+                });
+            }
+        } catch (error) {
+            console.error('保存回复缓存失败:', error);
+        }
+    }
+
+    /**
+     * 列出全部 KV 键
+     */
+    async listKeys(prefix) {
+        const keys = [];
+        let cursor;
+
+        do {
+            const result = await this.kv.list({ prefix, cursor });
+            keys.push(...result.keys);
+            cursor = result.list_complete ? null : result.cursor;
+        } while (cursor);
+
+        return keys;
+    }
+
+    /**
+     * 列出缓存的问题
+     * @param {string} openKfid 只列出该客服账号的缓存
+     */
+    async list(openKfid = null) {
+        const keys = await this.listKeys(openKfid ? `${this.keyPrefix}:${openKfid}:` : `${this.keyPrefix}:`);
+        return keys.map(({ name, metadata }) => ({
+            key: name,
+            openKfid: name.split(':')[1],
+            question: metadata?.question,
+            createdAt: metadata?.createdAt,
+        }));
+    }
+
+    /**
+     * 删除缓存
+     * @param {object} filter openKfid: 只删除该客服账号的缓存, question: 只删除该问题的缓存，都为空时清空全部缓存
+     * @returns {Promise<number>} 删除的缓存条数
+     */
+    async invalidate({ openKfid = null, question = null } = {}) {
+        const scopePrefix = openKfid ? `${openKfid}:` : '';
+        let keys = await this.listKeys(`${this.keyPrefix}:${scopePrefix}`);
+
+        if (question) {
+            const questionHash = await shortHash(normalizeQuestion(question));
+            keys = keys.filter(({ name }) => name.endsWith(`:${questionHash}`));
+        } else {
+            const indexKeys = await this.listKeys(`${this.indexKeyPrefix}:${scopePrefix}`);
+            await Promise.all(indexKeys.map(({ name }) => this.kv.delete(name)));
+        }
+
+        await Promise.all(keys.map(({ name }) => this.kv.delete(name)));
+        return keys.length;
+    }
+}
@@ -123,6 +123,20 @@ export class ApiResponse {
         });
     }
 
+    /**
+     * HTML 页面响应
+     * @param {string} html - 页面内容
+     * @param {number} status - HTTP状态码
+     */
+    static html(html, status = 200) {
+        return new Response(html, {
+            status,
+            headers: {
+                'Content-Type': 'text/html; charset=utf-8',
+            },
+        });
+    }
+
     /**
      * OPTIONS 预检请求响应
      */
@@ -0,0 +1,295 @@
+/**
+ * 自动回复规则
+ * “营业时间”“退货地址”等有固定答案的问题在调用 AI 之前按关键词、正则或意图别名匹配，直接回复文本、图片、链接或菜单消息
+ * 全部规则保存在 Cloudflare KV 的同一个键中，每条消息只需读取一次
+ */
+
+/**
+ * 匹配方式
+ */
+export const RuleMatchType = {
+    // 消息与关键词完全相同（忽略大小写、全半角、空白和标点）
+    EXACT: 'exact',
+    // 消息包含关键词
+    CONTAINS: 'contains',
+    // 正则表达式匹配原始消息
+    REGEX: 'regex',
+    // 去掉“请问”“一下”等语气词后与任一别名相同
+    INTENT: 'intent',
+};
+
+/**
+ * 回复类型
+ */
+export const RuleReplyType = {
+    TEXT: 'text',
+    IMAGE: 'image',
+    LINK: 'link',
+    MENU: 'menu',
+};
+
+/**
+ * 意图匹配时忽略的语气词和客套话，按长度从长到短排列
+ */
+const INTENT_FILLERS = [
+    '麻烦问一下',
+    '想问一下',
+    '请问一下',
+    '我想知道',
+    '问一下',
+    '请问',
+    '你好',
+    '您好',
+    '我想',
+    '我要',
+    '一下',
+    '麻烦',
+    '谢谢',
+    '吗',
+    '呢',
+    '啊',
+    '呀',
+    '吧',
+];
+
+/**
+ * 统一全角半角和大小写，去掉空白和标点
+ */
+function normalizeText(text) {
+    return text
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/[\s\p{P}\p{S}]/gu, '');
+}
+
+/**
+ * 意图匹配使用的文本，在 normalizeText 的基础上去掉语气词
+ */
+function normalizeIntent(text) {
+    return INTENT_FILLERS.reduce((result, filler) => result.split(filler).join(''), normalizeText(text));
+}
+
+/**
+ * 解析 /pattern/flags 形式的正则表达式，普通字符串按不区分大小写处理
+ */
+function parseRegex(pattern) {
+    const literal = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+    return literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern, 'i');
+}
+
+/**
+ * 校验回复内容
+ * @throws {Error} 缺少回复类型对应的字段
+ */
+function validateReply(reply) {
+    if (!reply || typeof reply !== 'object') {
+        throw new Error('reply 必须为对象');
+    }
+
+    const requireFields = fields => {
+        for (const field of fields) {
+            if (typeof reply[field] !== 'string' || !reply[field]) {
+                throw new Error(`${reply.type} 类型的回复缺少 reply.${field}`);
+            }
+        }
+    };
+
+    switch (reply.type) {
+        case RuleReplyType.TEXT:
+            requireFields(['content']);
+            return { type: reply.type, content: reply.content };
+        case RuleReplyType.IMAGE:
+            requireFields(['mediaId']);
+            return { type: reply.type, mediaId: reply.mediaId };
+        case RuleReplyType.LINK:
+            requireFields(['title', 'url']);
+            return {
+                type: reply.type,
+                title: reply.title,
+                desc: reply.desc || '',
+                url: reply.url,
+                ...(reply.thumbMediaId && { thumbMediaId: reply.thumbMediaId }),
+            };
+        case RuleReplyType.MENU:
+            if (!Array.isArray(reply.menu?.list) || reply.menu.list.length === 0) {
+                throw new Error('menu 类型的回复缺少 reply.menu.list');
+            }
+            return { type: reply.type, menu: reply.menu };
+        default:
+            throw new Error(`reply.type 必须为 ${Object.values(RuleReplyType).join('、')} 之一`);
+    }
+}
+
+export class RuleStore {
+    /**
+     * @param {KVNamespace} kv KV 存储
+     */
+    constructor(kv, options = {}) {
+        this.kv = kv;
+        this.key = options.key || 'auto_reply_rules';
+    }
+
+    /**
+     * 校验并整理规则
+     * @throws {Error} 字段缺失或取值不正确
+     */
+    static validate(input) {
+        const matchType = input.matchType || RuleMatchType.CONTAINS;
+        if (!Object.values(RuleMatchType).includes(matchType)) {
+            throw new Error(`matchType 必须为 ${Object.values(RuleMatchType).join('、')} 之一`);
+        }
+
+        const patterns = (Array.isArray(input.patterns) ? input.patterns : [input.patterns])
+            .filter(pattern => typeof pattern === 'string' && pattern.trim())
+            .map(pattern => pattern.trim());
+        if (patterns.length === 0) {
+            throw new Error('patterns 不能为空');
+        }
+
+        if (matchType === RuleMatchType.REGEX) {
+            for (const pattern of patterns) {
+                try {
+                    parseRegex(pattern);
+                } catch (error) {
+                    throw new Error(`无效的正则表达式 ${pattern}: ${error.message}`);
+                }
+            }
+        }
+
+        const priority = input.priority ?? 0;
+        if (!Number.isInteger(priority)) {
+            throw new Error('priority 必须为整数');
+        }
+
+        const openKfids = input.openKfids ?? [];
+        if (!Array.isArray(openKfids) || openKfids.some(openKfid => typeof openKfid !== 'string')) {
+            throw new Error('openKfids 必须为字符串数组');
+        }
+
+        return {
+            ...(input.id && { id: String(input.id) }),
+            name: typeof input.name === 'string' ? input.name : patterns[0],
+            matchType,
+            patterns,
+            priority,
+            openKfids,
+            enabled: input.enabled !== false,
+            reply: validateReply(input.reply),
+        };
+    }
+
+    /**
+     * 检查消息是否命中规则
+     * @returns {string|null} 命中的关键词或别名
+     */
+    static matchRule(rule, text) {
+        switch (rule.matchType) {
+            case RuleMatchType.EXACT: {
+                const normalized = normalizeText(text);
+                return rule.patterns.find(pattern => normalizeText(pattern) === normalized) || null;
+            }
+            case RuleMatchType.CONTAINS: {
+                const normalized = normalizeText(text);
+                return (
+                    rule.patterns.find(
+                        pattern => normalizeText(pattern) && normalized.includes(normalizeText(pattern)),
+                    ) || null
+                );
+            }
+            case RuleMatchType.REGEX:
+                return rule.patterns.find(pattern => parseRegex(pattern).test(text)) || null;
+            case RuleMatchType.INTENT: {
+                const normalized = normalizeIntent(text);
+                return rule.patterns.find(pattern => normalizeIntent(pattern) === normalized) || null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * 获取全部规则，按优先级从高到低排列
+     * 读取失败时抛出异常，避免保存时覆盖已有规则
+     */
+    async list() {
+        const stored = await this.kv.get(this.key);
+        const rules = stored ? JSON.parse(stored) : [];
+        return rules.sort((a, b) => b.priority - a.priority);
+    }
+
+    /**
+     * 获取单条规则，不存在时返回 null
+     */
+    async get(id) {
+        const rules = await this.list();
+        return rules.find(rule => rule.id === id) || null;
+    }
+
+    /**
+     * 新增或更新规则，未指定 id 时新增
+     * KV 不支持事务，多个管理请求同时修改规则时以最后写入的为准
+     * @returns {Promise<object>} 保存后的规则
+     */
+    async save(input) {
+        const rule = RuleStore.validate(input);
+        const rules = await this.list();
+        const existing = rules.find(item => item.id === rule.id);
+        const now = new Date().toISOString();
+
+        const saved = {
+            ...rule,
+            id: rule.id || crypto.randomUUID(),
+            createdAt: existing?.createdAt || now,
+            updatedAt: now,
+        };
+
+        await this.kv.put(this.key, JSON.stringify([...rules.filter(item => item.id !== saved.id), saved]));
+        return saved;
+    }
+
+    /**
+     * 删除规则
+     * @returns {Promise<boolean>} 是否存在并已删除
+     */
+    async delete(id) {
+        const rules = await this.list();
+        const remaining = rules.filter(rule => rule.id !== id);
+        if (remaining.length === rules.length) {
+            return false;
+        }
+
+        await this.kv.put(this.key, JSON.stringify(remaining));
+        return true;
+    }
+
+    /**
+     * 按优先级查找第一条命中的规则，只匹配启用且适用于该客服账号的规则
+     * @returns {Promise<{rule: object, pattern: string}|null>}
+     */
+    async match(text, openKfid) {
+        if (!text) {
+            return null;
+        }
+
+        let rules;
+        try {
+            rules = await this.list();
+        } catch (error) {
+            console.error('读取自动回复规则失败:', error);
+            return null;
+        }
+
+        for (const rule of rules) {
+            if (!rule.enabled || (rule.openKfids.length > 0 && !rule.openKfids.includes(openKfid))) {
+                continue;
+            }
+
+            const pattern = RuleStore.matchRule(rule, text);
+            if (pattern) {
+                return { rule, pattern };
+            }
+        }
+
+        return null;
+    }
+}
@@ -0,0 +1,15 @@
+/**
+ * 使用官方测试向量校验 Worker 内的消息加解密实现，并用官方测试配置完成一次加密、解密
+ * 用法：npm run verify:crypto，校验失败时以非零状态码退出
+ */
+import { OFFICIAL_TEST_VECTOR, WXBizMsgCrypt } from '../crypto.js';
+
+const { token, encodingAESKey, corpId } = OFFICIAL_TEST_VECTOR;
+const result = await new WXBizMsgCrypt(token, encodingAESKey, corpId).testCrypto();
+
+if (!result.success) {
+    console.error(`加解密校验失败: ${result.message}`);
+    process.exit(1);
+}
+
+console.log(`官方测试向量校验通过，解密结果: ${result.testVector.actual}`);
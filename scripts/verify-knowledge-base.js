@@ -0,0 +1,95 @@
+/**
+ * 校验知识库的文档切分、FAQ CSV 解析和内存向量存储的相似度排序，无需 AI 服务和 Cloudflare 环境
+ * 用法：npm run verify:knowledge-base，校验失败时以非零状态码退出
+ */
+import assert from 'node:assert/strict';
+import { chunkDocument, DocumentFormat, MemoryVectorStore, parseCsv } from '../knowledge-base.js';
+
+const checks = [
+    [
+        '纯文本按段落合并，不超过片段长度',
+        () => {
+            const chunks = chunkDocument('第一段。\n\n第二段。\n\n第三段内容较长。', DocumentFormat.TEXT, {
+                chunkSize: 12,
+            });
+            assert.deepEqual(chunks, ['第一段。\n\n第二段。', '第三段内容较长。']);
+        },
+    ],
+    [
+        '过长的段落按句子切分，单句过长时按长度切分并保留重叠',
+        () => {
+            const chunks = chunkDocument('一二三四五。六七八九十。', DocumentFormat.TEXT, { chunkSize: 8, overlap: 2 });
+            assert.deepEqual(chunks, ['一二三四五。', '五。六七八九十。']);
+
+            const long = chunkDocument('abcdefgh', DocumentFormat.TEXT, { chunkSize: 4, overlap: 1 });
+            assert.deepEqual(long, ['abcd', 'defg', 'gh']);
+        },
+    ],
+    [
+        'Markdown 按标题切分，片段带上所属标题',
+        () => {
+            const chunks = chunkDocument(
+                '简介\n\n# 退货\n七天无理由。\n\n## 运费\n满 99 包邮。',
+                DocumentFormat.MARKDOWN,
+            );
+            assert.deepEqual(chunks, ['简介', '退货\n七天无理由。', '运费\n满 99 包邮。']);
+        },
+    ],
+    [
+        'CSV 支持引号包裹的逗号、换行和转义引号',
+        () => {
+            const rows = parseCsv('问题,答案\r\n"发货,多久","一般 ""24 小时""\n内发货"\n\n空答案,\n');
+            assert.deepEqual(rows, [
+                ['问题', '答案'],
+                ['发货,多久', '一般 "24 小时"\n内发货'],
+                ['空答案', ''],
+            ]);
+        },
+    ],
+    [
+        'FAQ 跳过表头和没有答案的行',
+        () => {
+            const chunks = chunkDocument('问题,答案\n"发货,多久",24 小时内\n空答案,\n', DocumentFormat.FAQ);
+            assert.deepEqual(chunks, ['问：发货,多久\n答：24 小时内']);
+        },
+    ],
+    [
+        '内存向量存储按余弦相似度返回前 topK 个片段',
+        async () => {
+            const store = new MemoryVectorStore();
+            await store.upsertDocument({ id: 'a', title: 'A' }, [
+                { text: 'a0', vector: [1, 0, 0] },
+                { text: 'a1', vector: [0, 1, 0] },
+            ]);
+            await store.upsertDocument({ id: 'b', title: 'B' }, [{ text: 'b0', vector: [0.9, 0.1, 0] }]);
+
+            const results = await store.query([1, 0.2, 0], 2);
+            assert.deepEqual(
+                results.map(({ documentId, text, chunkIndex }) => [documentId, text, chunkIndex]),
+                [
+                    ['b', 'b0', 0],
+                    ['a', 'a0', 0],
+                ],
+            );
+            assert.ok(results[0].score >= results[1].score);
+        },
+    ],
+];
+
+let failed = 0;
+for (const [name, check] of checks) {
+    try {
+        await check();
+        console.log(`通过: ${name}`);
+    } catch (error) {
+        failed++;
+        console.error(`失败: ${name}\n${error.message}`);
+    }
+}
+
+if (failed > 0) {
+    console.error(`知识库校验失败 ${failed} 项`);
+    process.exit(1);
+}
+
+console.log('知识库校验通过');
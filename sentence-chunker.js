@@ -0,0 +1,167 @@
+/**
+ * 回复分段
+ * 将 AI 流式输出的增量文本按段落或句子切分，凑满一段即可作为一条消息发送；
+ * 完整回复超过单条消息的字节数限制时，按段落、句子、词、字的优先级切分
+ */
+
+/**
+ * 句子结束位置：中英文句末标点（含其后的引号、括号）、英文句点后的空白及换行
+ */
+const SENTENCE_END = /[。！？!?；;…]+["'”’）)]*|\.(?=\s)|\n/g;
+
+/**
+ * 按字节数切分时依次尝试的切分位置：段落、行、句末、逗号及空白（不会切断网址）
+ */
+const SPLIT_BOUNDARIES = [
+    /(?<=\n\n)/,
+    /(?<=\n)/,
+    /(?<=[。！？!?；;…]["'”’）)]*)(?!["'”’）)])|(?<=\.)(?=\s)/,
+    /(?<=[，,、：:])|(?<=\s)(?=\S)/,
+];
+
+/**
+ * Markdown 代码块围栏
+ */
+const CODE_FENCE = /^\s*(```|~~~)/;
+
+const encoder = new TextEncoder();
+
+/**
+ * 文本的 UTF-8 字节数
+ */
+export function byteLength(text) {
+    return encoder.encode(text).length;
+}
+
+/**
+ * 按字素切分，不会拆开代理对、emoji 组合字符
+ */
+function splitGraphemes(text, maxBytes) {
+    const graphemes =
+        typeof Intl.Segmenter === 'function'
+            ? Array.from(new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(text), item => item.segment)
+            : Array.from(text);
+
+    const chunks = [];
+    let current = '';
+    for (const grapheme of graphemes) {
+        if (current && byteLength(current + grapheme) > maxBytes) {
+            chunks.push(current);
+            current = '';
+        }
+        current += grapheme;
+    }
+    if (current) {
+        chunks.push(current);
+    }
+    return chunks;
+}
+
+/**
+ * 将文本切分为不超过 maxBytes 字节的多段，优先在段落、句子边界切分
+ * @param {number} level 当前使用的切分位置，超出时按字素切分
+ */
+export function splitText(text, maxBytes, level = 0) {
+    if (byteLength(text) <= maxBytes) {
+        return text.trim() ? [text.trim()] : [];
+    }
+    if (level >= SPLIT_BOUNDARIES.length) {
+        return splitGraphemes(text, maxBytes)
+            .map(chunk => chunk.trim())
+            .filter(Boolean);
+    }
+
+    const chunks = [];
+    let current = '';
+    for (const piece of text.split(SPLIT_BOUNDARIES[level])) {
+        if (byteLength(current + piece) <= maxBytes) {
+            current += piece;
+            continue;
+        }
+
+        chunks.push(current);
+        if (byteLength(piece) <= maxBytes) {
+            current = piece;
+        } else {
+            // 单段仍然过长，使用更细的切分位置
+            const pieces = splitText(piece, maxBytes, level + 1);
+            current = pieces.pop() || '';
+            chunks.push(...pieces);
+        }
+    }
+    chunks.push(current);
+
+    return chunks.map(chunk => chunk.trim()).filter(Boolean);
+}
+
+/**
+ * 在该位置切分是否不会拆开代码块或表格：之前的代码块均已闭合，且所在行不是表格行
+ * 表格行之后的换行也不切分，后续可能还有表格行，等出现普通文本后再一起切分
+ */
+function isBlockBoundary(text) {
+    const lines = text.split('\n');
+    if (lines.filter(line => CODE_FENCE.test(line)).length % 2 !== 0) {
+        return false;
+    }
+
+    const lastLine = lines.findLast(line => line.trim()) || '';
+    return !lastLine.includes('|');
+}
+
+export class SentenceChunker {
+    /**
+     * 不会在未闭合的代码块和表格中间切分，保证每段的 Markdown 可以完整转换
+     * @param {object} options minLength: 每段最少字数，过短的句子与后文合并，避免消息过于零碎
+     */
+    constructor(options = {}) {
+        this.minLength = options.minLength || 30;
+        this.buffer = '';
+    }
+
+    /**
+     * 追加增量文本，有完整的段落或句子时返回该段内容，否则返回 null
+     */
+    push(delta) {
+        this.buffer += delta;
+
+        const end = this.findBoundary();
+        if (end <= 0) {
+            return null;
+        }
+
+        const segment = this.buffer.slice(0, end).trim();
+        this.buffer = this.buffer.slice(end);
+        return segment || null;
+    }
+
+    /**
+     * 查找可切分的位置：优先在最后一个空行处切分，其次在最后一个句末处，跳过代码块和表格中的位置
+     */
+    findBoundary() {
+        const paragraphEnds = Array.from(this.buffer.matchAll(/\n\n/g), match => match.index + 2);
+        const sentenceEnds = Array.from(this.buffer.matchAll(SENTENCE_END), match => match.index + match[0].length);
+
+        for (const ends of [paragraphEnds, sentenceEnds]) {
+            for (let i = ends.length - 1; i >= 0; i--) {
+                const text = this.buffer.slice(0, ends[i]);
+                if (text.trim().length < this.minLength) {
+                    break;
+                }
+                if (isBlockBoundary(text)) {
+                    return ends[i];
+                }
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * 取出剩余的全部内容
+     */
+    flush() {
+        const rest = this.buffer.trim();
+        this.buffer = '';
+        return rest;
+    }
+}
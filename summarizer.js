@@ -0,0 +1,74 @@
+/**
+ * 对话摘要
+ * 对话历史超出上下文预算被截断时，调用 AI 将移除的消息合并到滚动摘要中，避免遗忘客户早先提供的订单号等信息
+ */
+
+const ROLE_LABELS = {
+    user: '客户',
+    assistant: '客服',
+    tool: '工具结果',
+};
+
+export class ConversationSummarizer {
+    /**
+     * @param {object} aiClient AI 客户端
+     * @param {object} options model: 摘要使用的模型（建议使用较便宜的模型）, maxLength: 摘要最大字数, maxMessageLength: 单条消息截取的最大字数
+     */
+    constructor(aiClient, options = {}) {
+        this.aiClient = aiClient;
+        this.model = options.model;
+        this.maxLength = options.maxLength || 500;
+        this.maxMessageLength = options.maxMessageLength || 1000;
+    }
+
+    /**
+     * 将消息转换为对话记录文本
+     */
+    formatTranscript(messages) {
+        return messages
+            .map(message => {
+                const label = ROLE_LABELS[message.role] || message.role;
+                const calls = (message.tool_calls || []).map(
+                    toolCall => `[调用工具 ${toolCall.function?.name}: ${toolCall.function?.arguments || '{}'}]`,
+                );
+                const text = [typeof message.content === 'string' ? message.content : '', ...calls]
+                    .filter(Boolean)
+                    .join(' ');
+                const truncated =
+                    text.length > this.maxMessageLength ? `${text.slice(0, this.maxMessageLength)}…` : text;
+                return `${label}: ${truncated}`;
+            })
+            .join('\n');
+    }
+
+    /**
+     * 将移除的消息合并到已有摘要
+     * @param {string|null} previousSummary 已有摘要
+     * @param {object[]} messages 被移除的消息
+     * @returns {Promise<string>} 新的摘要
+     */
+    async summarize(previousSummary, messages) {
+        const prompt = [
+            `请将下面的客服对话记录合并到已有摘要中，输出更新后的摘要，不超过 ${this.maxLength} 字。`,
+            '保留客户提供的订单号、手机号、地址、商品等关键信息，以及客户的问题和处理进展，省略寒暄。只输出摘要内容。',
+        ].join('\n');
+
+        const response = await this.aiClient.chatCompletion({
+            model: this.model,
+            temperature: 0.2,
+            messages: [
+                { role: 'system', content: prompt },
+                {
+                    role: 'user',
+                    content: `已有摘要：\n${previousSummary || '（无）'}\n\n对话记录：\n${this.formatTranscript(messages)}`,
+                },
+            ],
+        });
+
+        const summary = response.choices?.[0]?.message?.content?.trim();
+        if (!summary) {
+            throw new Error('摘要结果为空');
+        }
+        return summary;
+    }
+}
@@ -0,0 +1,89 @@
+/**
+ * sync_msg 游标存储
+ * 使用 Cloudflare KV 按 open_kfid 保存 next_cursor，回调时只拉取新消息
+ */
+
+export class SyncCursorStore {
+    constructor(kv, options = {}) {
+        this.kv = kv;
+        this.keyPrefix = options.keyPrefix || 'sync_cursor';
+        // 游标长期有效，过期时间仅用于清理已停用的客服账号
+        this.expirationTtl = options.expirationTtl || 30 * 86400;
+    }
+
+    /**
+     * 生成游标的 KV 键
+     */
+    getCursorKey(kfId) {
+        return `${this.keyPrefix}:${kfId}`;
+    }
+
+    /**
+     * 获取客服账号的游标状态
+     * @returns {Promise<{cursor: string, version: number, updatedAt: number}|null>}
+     */
+    async getCursor(kfId) {
+        try {
+            const result = await this.kv.get(this.getCursorKey(kfId));
+            return result ? JSON.parse(result) : null;
+        } catch (error) {
+            console.error('获取同步游标失败:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 保存游标
+     * 以读取时的 version 做乐观并发校验：若期间已有其他请求推进了游标，则放弃写入，
+     * 避免把游标回退到旧位置。放弃写入最多导致下次重复拉取，重复消息由 MessageTracker 去重
+     * @param {string} kfId 客服ID
+     * @param {string} cursor 新游标
+     * @param {number|null} expectedVersion 读取游标时的版本号，首次同步为 null
+     * @returns {Promise<boolean>} 是否写入成功
+     */
+    async saveCursor(kfId, cursor, expectedVersion = null) {
+        if (!cursor) {
+            return false;
+        }
+
+        try {
+            const current = await this.getCursor(kfId);
+            const currentVersion = current?.version ?? null;
+
+            if (currentVersion !== expectedVersion) {
+                console.warn(
+                    `同步游标已被并发更新，跳过写入: kfId=${kfId}, expected=${expectedVersion}, current=${currentVersion}`,
+                );
+                return false;
+            }
+
+            const data = {
+                cursor,
+                version: (currentVersion || 0) + 1,
+                updatedAt: Date.now(),
+            };
+
+            await this.kv.put(this.getCursorKey(kfId), JSON.stringify(data), {
+                expirationTtl: this.expirationTtl,
+            });
+
+            return true;
+        } catch (error) {
+            console.error('保存同步游标失败:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 重置游标（游标失效时使用）
+     */
+    async resetCursor(kfId) {
+        try {
+            await this.kv.delete(this.getCursorKey(kfId));
+            console.log(`客服 ${kfId} 的同步游标已重置`);
+        } catch (error) {
+            console.error('重置同步游标失败:', error);
+            throw error;
+        }
+    }
+}
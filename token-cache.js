@@ -0,0 +1,138 @@
+/**
+ * access_token 缓存
+ * 使用 Cloudflare KV 在多个 isolate 之间共享 access_token，按接口返回的 expires_in 提前刷新，
+ * 同一 isolate 内的并发刷新合并为一次请求，跨 isolate 通过 KV 锁尽量避免重复调用 /gettoken
+ */
+
+// 同一 isolate 内共享的内存缓存和进行中的刷新请求
+const memoryCache = new Map();
+const inflightRefreshes = new Map();
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export class AccessTokenCache {
+    /**
+     * @param {KVNamespace} kv KV 存储
+     * @param {object} options refreshMargin: 提前刷新的秒数, lockTtl: 刷新锁过期时间（秒）, lockWaitMs: 等待其他 isolate 刷新的时间
+     */
+    constructor(kv, options = {}) {
+        this.kv = kv;
+        this.keyPrefix = options.keyPrefix || 'access_token';
+        this.refreshMargin = options.refreshMargin || 300;
+        this.lockTtl = options.lockTtl || 60; // KV 最小过期时间为 60 秒
+        this.lockWaitMs = options.lockWaitMs || 1500;
+    }
+
+    /**
+     * 生成缓存键，同一企业下不同 secret 的 token 相互独立，键中只保留 secret 的摘要
+     */
+    async getCacheKey(corpid, corpsecret) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(corpsecret));
+        const secretHash = [...new Uint8Array(digest)]
+            .slice(0, 8)
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+        return `${this.keyPrefix}:${corpid}:${secretHash}`;
+    }
+
+    /**
+     * 缓存的 token 是否仍在有效期内（已扣除提前刷新时间）
+     */
+    isFresh(entry) {
+        return !!entry?.accessToken && Date.now() < entry.expiresAt - this.refreshMargin * 1000;
+    }
+
+    /**
+     * 读取 KV 中的 token
+     */
+    async readShared(key) {
+        try {
+            const result = await this.kv.get(key);
+            return result ? JSON.parse(result) : null;
+        } catch (error) {
+            console.error('读取 access_token 缓存失败:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 获取 access_token
+     * @param {string} corpid 企业ID
+     * @param {string} corpsecret 应用密钥
+     * @param {function(): Promise<{accessToken: string, expiresIn: number}>} fetchToken 调用 /gettoken 的函数
+     */
+    async get(corpid, corpsecret, fetchToken) {
+        const key = await this.getCacheKey(corpid, corpsecret);
+
+        const cached = memoryCache.get(key);
+        if (this.isFresh(cached)) {
+            return cached.accessToken;
+        }
+
+        // 合并同一 isolate 内的并发刷新
+        if (!inflightRefreshes.has(key)) {
+            const refresh = this.refresh(key, fetchToken).finally(() => inflightRefreshes.delete(key));
+            inflightRefreshes.set(key, refresh);
+        }
+
+        return inflightRefreshes.get(key);
+    }
+
+    /**
+     * 从 KV 读取或重新获取 token
+     */
+    async refresh(key, fetchToken) {
+        const shared = await this.readShared(key);
+        if (this.isFresh(shared)) {
+            memoryCache.set(key, shared);
+            return shared.accessToken;
+        }
+
+        // 其他 isolate 正在刷新时等待其结果
+        const lockKey = `${key}:lock`;
+        if (await this.kv.get(lockKey)) {
+            await sleep(this.lockWaitMs);
+            const refreshed = await this.readShared(key);
+            if (this.isFresh(refreshed)) {
+                memoryCache.set(key, refreshed);
+                return refreshed.accessToken;
+            }
+        }
+
+        await this.kv.put(lockKey, '1', { expirationTtl: this.lockTtl });
+
+        try {
+            const { accessToken, expiresIn } = await fetchToken();
+            const entry = {
+                accessToken,
+                expiresAt: Date.now() + expiresIn * 1000,
+            };
+
+            memoryCache.set(key, entry);
+            await this.kv.put(key, JSON.stringify(entry), {
+                expirationTtl: Math.max(expiresIn - this.refreshMargin, 60),
+            });
+
+            return accessToken;
+        } finally {
+            await this.kv.delete(lockKey);
+        }
+    }
+
+    /**
+     * 使 token 失效（接口返回 40014/42001 时调用）
+     * 只清除与传入值相同的 token，避免清掉其他请求刚刷新的新 token
+     */
+    async invalidate(corpid, corpsecret, accessToken) {
+        const key = await this.getCacheKey(corpid, corpsecret);
+
+        if (memoryCache.get(key)?.accessToken === accessToken) {
+            memoryCache.delete(key);
+        }
+
+        const shared = await this.readShared(key);
+        if (shared?.accessToken === accessToken) {
+            await this.kv.delete(key);
+        }
+    }
+}
@@ -0,0 +1,123 @@
+/**
+ * Token 估算
+ * 不引入 BPE 词表，按 cl100k/o200k 分词的统计规律估算：中日韩文字约 1 token/字，
+ * 英文单词约 4 个字母 1 token，数字约 3 位 1 token，标点符号各 1 token，结果略偏高以留出余量
+ */
+
+/**
+ * 中日韩文字及全角标点
+ */
+const CJK_PATTERN = /[　-〿぀-ヿ㐀-䶿一-鿿가-힯豈-﫿＀-￯]/u;
+
+/**
+ * 每条消息的格式开销（角色、分隔符）及回复起始开销
+ */
+const MESSAGE_OVERHEAD = 4;
+const REPLY_OVERHEAD = 3;
+
+/**
+ * 图片按高清 512px 切片估算
+ */
+const IMAGE_TOKENS = 765;
+
+/**
+ * 常见模型的上下文窗口（token），按模型名前缀匹配，越具体的前缀越靠前
+ */
+const MODEL_CONTEXT_WINDOWS = [
+    ['gpt-4.1', 1047576],
+    ['gpt-4o', 128000],
+    ['gpt-4-turbo', 128000],
+    ['gpt-4', 8192],
+    ['gpt-3.5-turbo', 16385],
+    ['o1', 200000],
+    ['o3', 200000],
+    ['o4', 200000],
+    ['claude', 200000],
+    ['gemini', 1048576],
+    ['deepseek', 65536],
+    ['qwen', 32768],
+    ['glm', 128000],
+    ['moonshot', 128000],
+    ['llama3', 8192],
+    ['llama', 4096],
+];
+
+/**
+ * 默认上下文窗口，未识别的模型按较小的窗口处理
+ */
+export const DEFAULT_CONTEXT_WINDOW = 8192;
+
+/**
+ * 获取模型的上下文窗口
+ * @param {string} model 模型名称，可带服务前缀，如 gcli2api/gemini-2.5-flash
+ */
+export function getContextWindow(model) {
+    const name = (model || '').toLowerCase().split('/').pop();
+    const match = MODEL_CONTEXT_WINDOWS.find(([prefix]) => name.startsWith(prefix));
+    return match ? match[1] : DEFAULT_CONTEXT_WINDOW;
+}
+
+/**
+ * 估算文本的 token 数
+ */
+export function estimateTokens(text) {
+    if (!text) {
+        return 0;
+    }
+
+    let tokens = 0;
+    let letters = 0;
+    let digits = 0;
+
+    const flush = () => {
+        tokens += Math.ceil(letters / 4) + Math.ceil(digits / 3);
+        letters = 0;
+        digits = 0;
+    };
+
+    for (const char of text) {
+        if (/[a-zA-Z]/.test(char)) {
+            letters++;
+        } else if (/[0-9]/.test(char)) {
+            digits++;
+        } else {
+            flush();
+            if (CJK_PATTERN.test(char)) {
+                tokens += 1;
+            } else if (!/\s/.test(char)) {
+                tokens += 1;
+            }
+        }
+    }
+    flush();
+
+    return tokens;
+}
+
+/**
+ * 估算单条消息的 token 数，包括多模态内容和工具调用
+ */
+export function estimateMessageTokens(message) {
+    let tokens = MESSAGE_OVERHEAD;
+
+    if (typeof message.content === 'string') {
+        tokens += estimateTokens(message.content);
+    } else if (Array.isArray(message.content)) {
+        for (const part of message.content) {
+            tokens += part.type === 'image_url' ? IMAGE_TOKENS : estimateTokens(part.text);
+        }
+    }
+
+    for (const toolCall of message.tool_calls || []) {
+        tokens += estimateTokens(toolCall.function?.name) + estimateTokens(toolCall.function?.arguments);
+    }
+
+    return tokens;
+}
+
+/**
+ * 估算消息列表的 token 数
+ */
+export function estimateMessagesTokens(messages) {
+    return messages.reduce((total, message) => total + estimateMessageTokens(message), REPLY_OVERHEAD);
+}
@@ -0,0 +1,175 @@
+/**
+ * AI 工具调用
+ * 工具在 AI_TOOLS 中以 JSON Schema 函数声明，由 HTTP Webhook 实现，用于查询订单、物流、会员积分等业务数据
+ */
+import { renderPrompt } from './conversation.js';
+
+export class ToolRegistry {
+    /**
+     * @param {object[]} tools 工具声明 { name, description, parameters, url, method, headers, timeout }
+     * @param {object} options maxIterations: 单条消息最多的工具调用轮数, timeout: 默认超时（毫秒）, maxResultLength: 工具结果最大长度
+     */
+    constructor(tools = [], options = {}) {
+        this.tools = new Map(tools.filter(tool => tool.name && tool.url).map(tool => [tool.name, tool]));
+        this.maxIterations = options.maxIterations || 5;
+        this.timeout = options.timeout || 10000;
+        this.maxResultLength = options.maxResultLength || 2000;
+    }
+
+    /**
+     * 从环境变量创建实例
+     * headers 中可以使用 {{变量名}} 引用环境变量，避免在 AI_TOOLS 中明文填写密钥
+     */
+    static fromEnv(env) {
+        let tools = [];
+        if (env.AI_TOOLS) {
+            try {
+                tools = JSON.parse(env.AI_TOOLS).map(tool => ({
+                    ...tool,
+                    headers: Object.fromEntries(
+                        Object.entries(tool.headers || {}).map(([name, value]) => [name, renderPrompt(value, env)]),
+                    ),
+                }));
+            } catch (error) {
+                console.error('AI_TOOLS 不是合法的 JSON:', error);
+            }
+        }
+
+        return new ToolRegistry(tools, {
+            maxIterations: env.AI_TOOL_MAX_ITERATIONS ? parseInt(env.AI_TOOL_MAX_ITERATIONS) : undefined,
+        });
+    }
+
+    /**
+     * 是否配置了工具
+     */
+    get enabled() {
+        return this.tools.size > 0;
+    }
+
+    /**
+     * OpenAI tools 参数格式的工具声明
+     */
+    getDefinitions() {
+        return [...this.tools.values()].map(tool => ({
+            type: 'function',
+            function: {
+                name: tool.name,
+                description: tool.description || '',
+                parameters: tool.parameters || { type: 'object', properties: {} },
+            },
+        }));
+    }
+
+    /**
+     * 带工具调用的对话：模型返回 tool_calls 时执行工具并把结果交回模型，直到给出文本回复或达到轮数上限
+     * @param {object} aiClient AI 客户端
+     * @param {object} request chatCompletion 参数
+     * @param {object} context externalUserid, openKfid: 随工具请求一起发送的会话信息
+     * @returns {Promise<{response: object, toolMessages: object[]}>} toolMessages 为本轮新增的工具调用及结果消息
+     */
+    async chat(aiClient, request, context = {}) {
+        if (!this.enabled) {
+            return { response: await aiClient.chatCompletion(request), toolMessages: [] };
+        }
+
+        const tools = this.getDefinitions();
+        const messages = [...request.messages];
+        const toolMessages = [];
+
+        for (let iteration = 0; iteration < this.maxIterations; iteration++) {
+            const response = await aiClient.chatCompletion({ ...request, messages, tools });
+            const message = response.choices?.[0]?.message;
+
+            if (!message?.tool_calls?.length) {
+                return { response, toolMessages };
+            }
+
+            const callMessage = { role: 'assistant', content: message.content || null, tool_calls: message.tool_calls };
+            const resultMessages = await Promise.all(
+                message.tool_calls.map(async toolCall => ({
+                    role: 'tool',
+                    tool_call_id: toolCall.id,
+                    content: await this.execute(toolCall, context),
+                })),
+            );
+
+            messages.push(callMessage, ...resultMessages);
+            toolMessages.push(callMessage, ...resultMessages);
+        }
+
+        // 达到轮数上限，不再允许调用工具，要求模型直接回复
+        console.warn(`工具调用达到 ${this.maxIterations} 轮上限`);
+        const response = await aiClient.chatCompletion({ ...request, messages, tools, tool_choice: 'none' });
+        return { response, toolMessages };
+    }
+
+    /**
+     * 执行工具调用，失败时返回错误信息交给模型处理
+     * @returns {Promise<string>} 工具结果
+     */
+    async execute(toolCall, context = {}) {
+        const name = toolCall.function?.name;
+        const tool = this.tools.get(name);
+        if (!tool) {
+            return JSON.stringify({ error: `未知工具: ${name}` });
+        }
+
+        let args;
+        try {
+            args = JSON.parse(toolCall.function.arguments || '{}');
+        } catch {
+            return JSON.stringify({ error: '工具参数不是合法的 JSON' });
+        }
+
+        try {
+            console.log(`调用工具 ${name}:`, JSON.stringify(args));
+            const result = await this.callWebhook(tool, args, context);
+            return result.length > this.maxResultLength ? `${result.slice(0, this.maxResultLength)}…` : result;
+        } catch (error) {
+            console.error(`调用工具 ${name} 失败:`, error);
+            return JSON.stringify({ error: error.message });
+        }
+    }
+
+    /**
+     * 请求工具的 Webhook
+     * 参数与会话信息合并后发送：GET 请求放在查询参数中，其他方法以 JSON 请求体发送；
+     * external_userid、open_kfid 以服务端为准，不能被模型生成的参数覆盖
+     */
+    async callWebhook(tool, args, context) {
+        const method = (tool.method || 'POST').toUpperCase();
+        const payload = {
+            ...args,
+            external_userid: context.externalUserid,
+            open_kfid: context.openKfid,
+        };
+
+        const url = new URL(tool.url);
+        const init = {
+            method,
+            headers: { ...tool.headers },
+            signal: AbortSignal.timeout(tool.timeout || this.timeout),
+        };
+
+        if (method === 'GET') {
+            for (const [key, value] of Object.entries(payload)) {
+                if (value !== undefined && value !== null) {
+                    url.searchParams.set(key, typeof value === 'object' ? JSON.stringify(value) : value);
+                }
+            }
+        } else {
+            init.headers['Content-Type'] = 'application/json';
+            init.body = JSON.stringify(payload);
+        }
+
+        const response = await fetch(url, init);
+        const text = await response.text();
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} - ${text}`);
+        }
+
+        return text;
+    }
+}
@@ -0,0 +1,312 @@
+/**
+ * AI 用量统计
+ * 按自然日统计每个客户、每个客服账号及全部的 token 用量和估算费用，保存在 Cloudflare KV 中，并支持每日配额
+ * KV 不支持原子递增，且同一个键每秒只能写入一次，并发读改写汇总记录会互相覆盖。
+ * 因此每条用户消息的用量单独写入一个键，查询时按前缀列出后再汇总。KV 列表最多延迟约 1 分钟，配额检查可能略有滞后
+ */
+
+/**
+ * 常见模型的价格（美元 / 百万 token），按顺序匹配模型名称，越具体的规则越靠前
+ */
+const MODEL_PRICES = [
+    [/^gpt-4\.1-nano/, 0.1, 0.4],
+    [/^gpt-4\.1-mini/, 0.4, 1.6],
+    [/^gpt-4\.1/, 2, 8],
+    [/^gpt-4o-mini/, 0.15, 0.6],
+    [/^gpt-4o/, 2.5, 10],
+    [/^gpt-4-turbo/, 10, 30],
+    [/^gpt-4/, 30, 60],
+    [/^gpt-3\.5-turbo/, 0.5, 1.5],
+    [/^o1-mini/, 1.1, 4.4],
+    [/^o1/, 15, 60],
+    [/^o[34]-mini/, 1.1, 4.4],
+    [/^o3/, 2, 8],
+    [/^claude-3-haiku/, 0.25, 1.25],
+    [/^claude-3-5-haiku/, 0.8, 4],
+    [/haiku/, 1, 5],
+    [/sonnet/, 3, 15],
+    [/opus/, 15, 75],
+    [/^gemini-1\.5-flash/, 0.075, 0.3],
+    [/^gemini-2\.0-flash/, 0.1, 0.4],
+    [/^gemini-2\.5-flash/, 0.3, 2.5],
+    [/^gemini-(1\.5|2\.5)-pro/, 1.25, 10],
+    [/^deepseek-chat/, 0.27, 1.1],
+    [/^deepseek-reasoner/, 0.55, 2.19],
+];
+
+/**
+ * 统计维度
+ */
+export const UsageScope = {
+    USER: 'user',
+    KF: 'kf',
+    TOTAL: 'total',
+};
+
+/**
+ * 单次查询最多的天数
+ */
+const MAX_QUERY_DAYS = 93;
+
+/**
+ * KV 元数据的最大字节数，用量记录不超过时同时写入元数据，汇总时无需逐个读取
+ */
+const MAX_METADATA_BYTES = 1024;
+
+/**
+ * 空的用量记录
+ */
+function emptyUsage() {
+    return { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, models: {} };
+}
+
+/**
+ * 将一次调用的用量累加到汇总记录
+ */
+function addUsage(target, { model, promptTokens, completionTokens, cost }) {
+    target.requests += 1;
+    target.promptTokens += promptTokens;
+    target.completionTokens += completionTokens;
+    target.totalTokens += promptTokens + completionTokens;
+    target.cost += cost;
+
+    const modelUsage = target.models[model] || { requests: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+    modelUsage.requests += 1;
+    modelUsage.promptTokens += promptTokens;
+    modelUsage.completionTokens += completionTokens;
+    modelUsage.cost += cost;
+    target.models[model] = modelUsage;
+}
+
+/**
+ * 合并两条汇总记录
+ */
+function mergeUsage(target, source) {
+    for (const field of ['requests', 'promptTokens', 'completionTokens', 'totalTokens', 'cost']) {
+        target[field] += source[field];
+    }
+    for (const [model, usage] of Object.entries(source.models)) {
+        const modelUsage = target.models[model] || { requests: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+        for (const field of ['requests', 'promptTokens', 'completionTokens', 'cost']) {
+            modelUsage[field] += usage[field];
+        }
+        target.models[model] = modelUsage;
+    }
+    return target;
+}
+
+export class UsageTracker {
+    /**
+     * @param {KVNamespace} kv KV 存储
+     * @param {object} options prices: 自定义价格 { 模型: { prompt, completion } }, quotas: 每日配额 { userTokens, kfTokens, cost },
+     *                         timeZone: 统计日期所用时区, retentionDays: 统计保留天数
+     */
+    constructor(kv, options = {}) {
+        this.kv = kv;
+        this.keyPrefix = options.keyPrefix || 'usage';
+        this.prices = options.prices || {};
+        this.quotas = options.quotas || {};
+        this.timeZone = options.timeZone || 'Asia/Shanghai';
+        this.retentionDays = options.retentionDays || 90;
+    }
+
+    /**
+     * 从环境变量创建实例
+     */
+    static fromEnv(env) {
+        let prices = {};
+        if (env.AI_MODEL_PRICES) {
+            try {
+                prices = JSON.parse(env.AI_MODEL_PRICES);
+            } catch (error) {
+                console.error('AI_MODEL_PRICES 不是合法的 JSON:', error);
+            }
+        }
+
+        return new UsageTracker(env.MESSAGE_TRACKER, {
+            prices,
+            quotas: {
+                userTokens: env.USAGE_DAILY_USER_TOKENS ? parseInt(env.USAGE_DAILY_USER_TOKENS) : null,
+                kfTokens: env.USAGE_DAILY_KF_TOKENS ? parseInt(env.USAGE_DAILY_KF_TOKENS) : null,
+                cost: env.USAGE_DAILY_COST ? parseFloat(env.USAGE_DAILY_COST) : null,
+            },
+            timeZone: env.USAGE_TIMEZONE,
+            retentionDays: env.USAGE_RETENTION_DAYS ? parseInt(env.USAGE_RETENTION_DAYS) : undefined,
+        });
+    }
+
+    /**
+     * 统计日期 YYYY-MM-DD
+     */
+    getDate(timestamp = Date.now()) {
+        return new Intl.DateTimeFormat('en-CA', { timeZone: this.timeZone }).format(new Date(timestamp));
+    }
+
+    /**
+     * 生成某一天某个维度的 KV 键前缀，旧版本在该键上保存汇总记录
+     */
+    getUsageKey(date, scope, id) {
+        return scope === UsageScope.TOTAL
+            ? `${this.keyPrefix}:${date}:${scope}`
+            : `${this.keyPrefix}:${date}:${scope}:${id}`;
+    }
+
+    /**
+     * 估算费用，自定义价格按模型名称精确或前缀匹配，优先于内置价格表
+     * @returns {number} 费用（与价格表的货币单位相同，内置价格为美元）
+     */
+    calculateCost(model, promptTokens, completionTokens) {
+        const name = (model || '').toLowerCase().split('/').pop();
+        const custom = Object.entries(this.prices).find(([prefix]) => name.startsWith(prefix.toLowerCase()));
+
+        let price;
+        if (custom) {
+            price = { prompt: custom[1].prompt || 0, completion: custom[1].completion || 0 };
+        } else {
+            const match = MODEL_PRICES.find(([pattern]) => pattern.test(name));
+            price = match ? { prompt: match[1], completion: match[2] } : { prompt: 0, completion: 0 };
+        }
+
+        return (promptTokens * price.prompt + completionTokens * price.completion) / 1000000;
+    }
+
+    /**
+     * 获取某一天的用量，汇总该维度下的全部用量记录
+     */
+    async get(date, scope, id) {
+        const usageKey = this.getUsageKey(date, scope, id);
+        const total = emptyUsage();
+
+        try {
+            // 兼容旧版本保存的汇总记录
+            const legacy = await this.kv.get(usageKey);
+            if (legacy) {
+                mergeUsage(total, JSON.parse(legacy));
+            }
+
+            let cursor;
+            do {
+                const result = await this.kv.list({ prefix: `${usageKey}:`, cursor });
+                const records = await Promise.all(
+                    result.keys.map(async ({ name, metadata }) => {
+                        if (metadata) {
+                            return metadata;
+                        }
+                        const value = await this.kv.get(name);
+                        return value ? JSON.parse(value) : null;
+                    }),
+                );
+                for (const record of records.filter(Boolean)) {
+                    mergeUsage(total, record);
+                }
+                cursor = result.list_complete ? null : result.cursor;
+            } while (cursor);
+        } catch (error) {
+            console.error('读取用量统计失败:', error);
+        }
+
+        return total;
+    }
+
+    /**
+     * 记录一条用户消息产生的 AI 调用用量
+     * 每个维度写入一个新键，不读取也不覆盖已有记录，并发处理多个客户的消息时不会丢失统计
+     * @param {object[]} records 每次调用的用量 { provider, model, promptTokens, completionTokens }
+     * @param {object} context externalUserid, openKfid
+     */
+    async record(records, { externalUserid, openKfid }) {
+        if (!records.length) {
+            return;
+        }
+
+        const date = this.getDate();
+        const calls = records.map(record => ({
+            ...record,
+            cost: this.calculateCost(record.model, record.promptTokens, record.completionTokens),
+        }));
+        const targets = [
+            [UsageScope.TOTAL, null],
+            ...(externalUserid ? [[UsageScope.USER, externalUserid]] : []),
+            ...(openKfid ? [[UsageScope.KF, openKfid]] : []),
+        ];
+
+        const usage = emptyUsage();
+        for (const call of calls) {
+            addUsage(usage, call);
+        }
+        const value = JSON.stringify(usage);
+        const options = { expirationTtl: this.retentionDays * 86400 };
+        if (new TextEncoder().encode(value).length <= MAX_METADATA_BYTES) {
+            options.metadata = usage;
+        }
+        const recordId = `${Date.now()}-${crypto.randomUUID()}`;
+
+        await Promise.all(
+            targets.map(async ([scope, id]) => {
+                try {
+                    await this.kv.put(`${this.getUsageKey(date, scope, id)}:${recordId}`, value, options);
+                } catch (error) {
+                    console.error('保存用量统计失败:', error);
+                }
+            }),
+        );
+    }
+
+    /**
+     * 按日期范围查询用量
+     * @param {object} options from, to: 起止日期 YYYY-MM-DD（包含），scope, id
+     * @returns {Promise<{days: object[], total: object}>}
+     */
+    async query({ from, to, scope = UsageScope.TOTAL, id = null }) {
+        const start = new Date(`${from}T00:00:00Z`);
+        const end = new Date(`${to}T00:00:00Z`);
+        if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start > end) {
+            throw new Error('日期范围不正确，格式为 YYYY-MM-DD');
+        }
+
+        const dates = [];
+        for (let date = start; date <= end; date = new Date(date.getTime() + 86400000)) {
+            dates.push(date.toISOString().slice(0, 10));
+        }
+        if (dates.length > MAX_QUERY_DAYS) {
+            throw new Error(`单次最多查询 ${MAX_QUERY_DAYS} 天`);
+        }
+
+        const days = await Promise.all(dates.map(async date => ({ date, ...(await this.get(date, scope, id)) })));
+        const total = days.reduce((sum, day) => mergeUsage(sum, day), emptyUsage());
+
+        return { days, total };
+    }
+
+    /**
+     * 检查今日配额
+     * @returns {Promise<object|null>} 超出的配额 { scope, limit, used }，未超出时返回 null
+     */
+    async checkQuota(externalUserid, openKfid) {
+        const { userTokens, kfTokens, cost } = this.quotas;
+        const date = this.getDate();
+
+        if (userTokens && externalUserid) {
+            const usage = await this.get(date, UsageScope.USER, externalUserid);
+            if (usage.totalTokens >= userTokens) {
+                return { scope: UsageScope.USER, limit: userTokens, used: usage.totalTokens };
+            }
+        }
+
+        if (kfTokens && openKfid) {
+            const usage = await this.get(date, UsageScope.KF, openKfid);
+            if (usage.totalTokens >= kfTokens) {
+                return { scope: UsageScope.KF, limit: kfTokens, used: usage.totalTokens };
+            }
+        }
+
+        if (cost) {
+            const usage = await this.get(date, UsageScope.TOTAL, null);
+            if (usage.cost >= cost) {
+                return { scope: UsageScope.TOTAL, limit: cost, used: usage.cost };
+            }
+        }
+
+        return null;
+    }
+}